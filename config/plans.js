@@ -0,0 +1,42 @@
+const MB = 1024 * 1024;
+
+// Upload limits of each plan. Users are on "free" unless an admin moves them to another plan,
+// and admins can override single limits for one user (see utils/quotas.js).
+const DEFAULT_PLANS = {
+    free: { maxFileSize: 20 * MB, maxStorageBytes: 500 * MB, maxDocuments: 100 },
+    pro: { maxFileSize: 100 * MB, maxStorageBytes: 10 * 1024 * MB, maxDocuments: 5000 }
+};
+
+const QUOTA_LIMITS = ['maxFileSize', 'maxStorageBytes', 'maxDocuments'];
+
+// QUOTA_PLANS (JSON) changes or adds plans, e.g. {"free":{"maxDocuments":200},"team":{"maxStorageBytes":53687091200}}
+// Limits a new plan leaves out are taken from "free".
+const loadPlans = () => {
+    const plans = { ...DEFAULT_PLANS };
+    if (!process.env.QUOTA_PLANS) {
+        return plans;
+    }
+
+    let overrides;
+    try {
+        overrides = JSON.parse(process.env.QUOTA_PLANS);
+    } catch (error) {
+        throw new Error(`QUOTA_PLANS is not valid JSON: ${error.message}`);
+    }
+    for (const [name, limits] of Object.entries(overrides)) {
+        plans[name] = { ...(plans[name] || plans.free), ...limits };
+        QUOTA_LIMITS.forEach(key => {
+            if (!(plans[name][key] > 0)) {
+                throw new Error(`QUOTA_PLANS: ${name}.${key} must be a positive number`);
+            }
+        });
+    }
+    return plans;
+};
+
+const PLANS = loadPlans();
+
+module.exports = {
+    PLANS,
+    QUOTA_LIMITS
+};
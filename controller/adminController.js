@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const PDF = require('../models/PDF');
+const QueryHistory = require('../models/QueryHistory');
+const ChatSession = require('../models/ChatSession');
+const IngestJob = require('../models/IngestJob');
+const PDFShare = require('../models/PDFShare');
+const Session = require('../models/session');
+const PasswordReset = require('../models/passwordReset');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvite = require('../models/WorkspaceInvite');
+const UsageRecord = require('../models/UsageRecord');
+const escapeRegex = require('../utils/escapeRegex');
+const { revokeAllSessions } = require('../utils/tokens');
+const { deletePdfs } = require('../utils/pdfCleanup');
+const { getLimits, getUsage } = require('../utils/quotas');
+const { parseUsageRange, getUsageReport } = require('../utils/usageMeter');
+const parseDate = require('../utils/parseDate');
+const { PLANS, QUOTA_LIMITS } = require('../config/plans');
+
+/**
+ * Count PDFs and query history entries for a set of users
+ * Returns a Map of userId -> { pdfCount, queryCount }
+ */
+const getUsageCounts = async (userIds) => {
+    const [pdfCounts, queryCounts] = await Promise.all([
+        PDF.aggregate([
+            { $match: { user: { $in: userIds } } },
+            { $group: { _id: '$user', count: { $sum: 1 } } }
+        ]),
+        QueryHistory.aggregate([
+            { $match: { user: { $in: userIds } } },
+            { $group: { _id: '$user', count: { $sum: 1 } } }
+        ])
+    ]);
+
+    const usage = new Map(userIds.map(id => [id.toString(), { pdfCount: 0, queryCount: 0 }]));
+    pdfCounts.forEach(({ _id, count }) => { usage.get(_id.toString()).pdfCount = count; });
+    queryCounts.forEach(({ _id, count }) => { usage.get(_id.toString()).queryCount = count; });
+    return usage;
+};
+
+/**
+ * Delete everything that belongs to a user: uploaded files, PDF records,
+ * query history, chat sessions, shares, owned workspaces and memberships,
+ * login sessions, pending password resets and usage records
+ */
+const removeUserData = async (userId) => {
+    const user = await User.findById(userId).select('email');
+
+    // Workspaces the user owns go away together with everything uploaded to them
+    const owned = await Workspace.find({ owner: userId }).distinct('_id');
+    const pdfs = await PDF.find({ $or: [{ user: userId }, { workspace: { $in: owned } }] })
+        .select('user size sha256 filename storageDriver storageKey');
+    await deletePdfs(pdfs);
+
+    await QueryHistory.deleteMany({ $or: [{ user: userId }, { workspace: { $in: owned } }] });
+    await ChatSession.deleteMany({ workspace: { $in: owned } });
+    await WorkspaceInvite.deleteMany({ $or: [{ workspace: { $in: owned } }, { email: user ? user.email : null }] });
+    await Workspace.deleteMany({ _id: { $in: owned } });
+    await Workspace.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+
+    await ChatSession.deleteMany({ user: userId });
+    await IngestJob.deleteMany({ user: userId });
+    await PDFShare.deleteMany({ $or: [{ owner: userId }, { user: userId }] });
+    await Session.deleteMany({ user: userId });
+    await PasswordReset.deleteMany({ user: userId });
+    await UsageRecord.deleteMany({ user: userId });
+};
+
+const adminController = {
+    // List users, optionally filtered by a search term on name/email, role or status
+    listUsers: async (req, res) => {
+        try {
+            const { search, role, disabled, page = 1, limit = 20 } = req.query;
+            const filter = {};
+
+            if (search) {
+                const pattern = escapeRegex(search);
+                filter.$or = [
+                    { name: { $regex: pattern, $options: 'i' } },
+                    { email: { $regex: pattern, $options: 'i' } }
+                ];
+            }
+            if (role) {
+                if (!User.schema.path('role').enumValues.includes(role)) {
+                    return res.status(400).json({ error: 'Invalid role' });
+                }
+                filter.role = role;
+            }
+            if (disabled !== undefined) {
+                filter.isDisabled = disabled === 'true';
+            }
+
+            const pageNum = Math.max(parseInt(page) || 1, 1);
+            const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+            const [users, total] = await Promise.all([
+                User.find(filter)
+                    .select('-password')
+                    .sort({ createdAt: -1 })
+                    .skip((pageNum - 1) * pageSize)
+                    .limit(pageSize),
+                User.countDocuments(filter)
+            ]);
+
+            const usage = await getUsageCounts(users.map(user => user._id));
+
+            res.json({
+                count: users.length,
+                total,
+                page: pageNum,
+                users: users.map(user => ({
+                    ...user.toObject(),
+                    ...usage.get(user._id.toString())
+                }))
+            });
+        } catch (error) {
+            console.error('Error listing users:', error.message);
+            res.status(500).json({ error: 'Error listing users: ' + error.message });
+        }
+    },
+
+    // Get a single user with their PDF and query history counts
+    getUser: async (req, res) => {
+        try {
+            const { id } = req.params;
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid user ID' });
+            }
+
+            const user = await User.findById(id).select('-password');
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const usage = await getUsageCounts([user._id]);
+
+            res.json({
+                user: {
+                    ...user.toObject(),
+                    ...usage.get(user._id.toString())
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching user:', error.message);
+            res.status(500).json({ error: 'Error fetching user: ' + error.message });
+        }
+    },
+
+    // Disable or re-enable an account. Disabling also logs the user out everywhere.
+    setUserStatus: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { disabled } = req.body;
+
+            if (typeof disabled !== 'boolean') {
+                return res.status(400).json({ error: '"disabled" must be true or false' });
+            }
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid user ID' });
+            }
+            if (id === req.user._id.toString()) {
+                return res.status(400).json({ error: 'You cannot change the status of your own account' });
+            }
+
+            const user = await User.findByIdAndUpdate(
+                id,
+                { isDisabled: disabled },
+                { new: true }
+            ).select('-password');
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            if (disabled) {
+                await revokeAllSessions(user._id);
+            }
+
+            res.json({
+                message: disabled ? 'User disabled successfully' : 'User enabled successfully',
+                user
+            });
+        } catch (error) {
+            console.error('Error updating user status:', error.message);
+            res.status(500).json({ error: 'Error updating user status: ' + error.message });
+        }
+    },
+
+    // Change a user's role
+    setUserRole: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { role } = req.body;
+
+            if (!User.schema.path('role').enumValues.includes(role)) {
+                return res.status(400).json({ error: 'Invalid role' });
+            }
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid user ID' });
+            }
+            if (id === req.user._id.toString()) {
+                return res.status(400).json({ error: 'You cannot change your own role' });
+            }
+
+            const user = await User.findByIdAndUpdate(id, { role }, { new: true }).select('-password');
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.json({
+                message: 'User role updated successfully',
+                user
+            });
+        } catch (error) {
+            console.error('Error updating user role:', error.message);
+            res.status(500).json({ error: 'Error updating user role: ' + error.message });
+        }
+    },
+
+    // Move a user to another plan and/or override single quota limits for them
+    // Body: { plan, quota: { maxFileSize, maxStorageBytes, maxDocuments } }; null resets a limit to the plan's
+    setUserQuota: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { plan, quota = {} } = req.body;
+
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid user ID' });
+            }
+            // Own keys only: "constructor" or "toString" are not plans
+            if (plan !== undefined && (typeof plan !== 'string' || !Object.hasOwn(PLANS, plan))) {
+                return res.status(400).json({ error: `Plan must be one of: ${Object.keys(PLANS).join(', ')}` });
+            }
+            if (typeof quota !== 'object' || quota === null || Array.isArray(quota)) {
+                return res.status(400).json({ error: '"quota" must be an object' });
+            }
+
+            const update = {};
+            if (plan !== undefined) {
+                update.plan = plan;
+            }
+            for (const [key, value] of Object.entries(quota)) {
+                if (!QUOTA_LIMITS.includes(key)) {
+                    return res.status(400).json({ error: `Unknown quota limit "${key}". Use: ${QUOTA_LIMITS.join(', ')}` });
+                }
+                if (value !== null && !(Number.isInteger(value) && value > 0)) {
+                    return res.status(400).json({ error: `${key} must be a positive integer or null` });
+                }
+                update[`quota.${key}`] = value;
+            }
+            if (Object.keys(update).length === 0) {
+                return res.status(400).json({ error: 'Nothing to update. Send a plan or quota limits.' });
+            }
+
+            const user = await User.findByIdAndUpdate(id, update, { new: true, runValidators: true }).select('-password');
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.json({
+                message: 'User quota updated successfully',
+                user,
+                limits: getLimits(user),
+                usage: await getUsage(user)
+            });
+        } catch (error) {
+            console.error('Error updating user quota:', error.message);
+            res.status(500).json({ error: 'Error updating user quota: ' + error.message });
+        }
+    },
+
+    // Daily AI usage across all users, or one user with ?userId (?from&to, the last 30 days by default)
+    getUsageReport: async (req, res) => {
+        try {
+            const { userId } = req.query;
+            if (userId && !mongoose.isValidObjectId(userId)) {
+                return res.status(400).json({ error: 'Invalid user ID' });
+            }
+            const range = parseUsageRange(parseDate(req.query.from), parseDate(req.query.to));
+            if (range.error) {
+                return res.status(400).json({ error: range.error });
+            }
+
+            const match = userId ? { user: new mongoose.Types.ObjectId(userId) } : {};
+            res.json(await getUsageReport(match, range, { byUser: !userId }));
+        } catch (error) {
+            console.error('Error building usage report:', error.message);
+            res.status(500).json({ error: 'Error building usage report: ' + error.message });
+        }
+    },
+
+    // Delete a user together with their uploads and query history
+    deleteUser: async (req, res) => {
+        try {
+            const { id } = req.params;
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid user ID' });
+            }
+            if (id === req.user._id.toString()) {
+                return res.status(400).json({ error: 'You cannot delete your own account' });
+            }
+
+            const user = await User.findById(id);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            await removeUserData(user._id);
+            await User.deleteOne({ _id: user._id });
+
+            res.json({ message: 'User and associated data deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting user:', error.message);
+            res.status(500).json({ error: 'Error deleting user: ' + error.message });
+        }
+    }
+};
+
+module.exports = adminController;
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const QueryHistory = require('../models/QueryHistory');
+const ChatSession = require('../models/ChatSession');
+const { getAiAxiosForSession } = require('../utils/aiClient');
+const { resolveAccessiblePdfIds } = require('../utils/pdfAccess');
+
+// Query for one of the user's chat sessions in the active workspace,
+// or send the error response and return null if the id is malformed
+const findOwnSession = (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+        res.status(400).json({ error: 'Invalid chat session ID' });
+        return null;
+    }
+    return ChatSession.findOne({ _id: id, user: req.user._id, workspace: req.workspace._id });
+};
+
+const chatSessionController = {
+    // Create a chat session over one or more PDFs the user can query
+    createSession: async (req, res) => {
+        try {
+            const { title, pdfIds = [] } = req.body;
+
+            const pdfs = await resolveAccessiblePdfIds(pdfIds, req.user, 'query');
+            if (!pdfs) {
+                return res.status(404).json({ error: 'One or more PDFs not found or not authorized' });
+            }
+
+            // PDFs are uploaded to the AI server lazily, on the first question
+            const chatSession = await ChatSession.create({
+                user: req.user._id,
+                workspace: req.workspace._id,
+                pdfs,
+                ...(title && { title })
+            });
+            await chatSession.populate('pdfs', 'originalname filename');
+
+            res.status(201).json({ session: chatSession });
+        } catch (error) {
+            console.error('Error creating chat session:', error.message);
+            res.status(500).json({ error: 'Error creating chat session: ' + error.message });
+        }
+    },
+
+    // List the user's chat sessions in the active workspace, most recently active first
+    getSessions: async (req, res) => {
+        try {
+            const sessions = await ChatSession.find({ user: req.user._id, workspace: req.workspace._id })
+                .populate('pdfs', 'originalname filename')
+                .sort({ lastMessageAt: -1, createdAt: -1 });
+
+            res.json({
+                count: sessions.length,
+                sessions
+            });
+        } catch (error) {
+            console.error('Error fetching chat sessions:', error.message);
+            res.status(500).json({ error: 'Error fetching chat sessions: ' + error.message });
+        }
+    },
+
+    // Get a chat session together with its messages
+    getSessionById: async (req, res) => {
+        try {
+            const query = findOwnSession(req, res);
+            if (!query) {
+                return;
+            }
+            const chatSession = await query.populate('pdfs', 'originalname filename');
+            if (!chatSession) {
+                return res.status(404).json({ error: 'Chat session not found or not authorized' });
+            }
+
+            const history = await QueryHistory.find({ chatSession: chatSession._id })
+                .populate('pdf', 'originalname filename')
+                .populate('sources.pdf', 'originalname')
+                .sort({ createdAt: 1 });
+
+            res.json({
+                session: chatSession,
+                history
+            });
+        } catch (error) {
+            console.error('Error fetching chat session:', error.message);
+            res.status(500).json({ error: 'Error fetching chat session: ' + error.message });
+        }
+    },
+
+    // Rename a session and/or replace its set of PDFs
+    updateSession: async (req, res) => {
+        try {
+            const { title, pdfIds } = req.body;
+
+            const query = findOwnSession(req, res);
+            if (!query) {
+                return;
+            }
+            const chatSession = await query;
+            if (!chatSession) {
+                return res.status(404).json({ error: 'Chat session not found or not authorized' });
+            }
+
+            if (title !== undefined) {
+                chatSession.title = title;
+            }
+
+            if (pdfIds !== undefined) {
+                const pdfs = await resolveAccessiblePdfIds(pdfIds, req.user, 'query');
+                if (!pdfs) {
+                    return res.status(404).json({ error: 'One or more PDFs not found or not authorized' });
+                }
+
+                // The AI server cannot forget a single document, so removing one
+                // means starting a fresh AI session that is re-indexed on the next question
+                const kept = new Set(pdfs.map(String));
+                const removedIndexed = chatSession.indexedPdfs.some(pdfId => !kept.has(pdfId.toString()));
+                if (removedIndexed) {
+                    chatSession.aiCookie = null;
+                    chatSession.indexedPdfs = [];
+                }
+                chatSession.pdfs = pdfs;
+            }
+
+            await chatSession.save();
+            await chatSession.populate('pdfs', 'originalname filename');
+
+            res.json({
+                message: 'Chat session updated successfully',
+                session: chatSession
+            });
+        } catch (error) {
+            console.error('Error updating chat session:', error.message);
+            res.status(500).json({ error: 'Error updating chat session: ' + error.message });
+        }
+    },
+
+    // Delete a chat session. Its questions stay in the query history.
+    deleteSession: async (req, res) => {
+        try {
+            const query = findOwnSession(req, res);
+            if (!query) {
+                return;
+            }
+            const chatSession = await query.select('+aiCookie +aiBackend');
+            if (!chatSession) {
+                return res.status(404).json({ error: 'Chat session not found or not authorized' });
+            }
+
+            // Best effort: free the vectors held by the AI server for this session
+            if (chatSession.aiCookie) {
+                try {
+                    await (await getAiAxiosForSession(chatSession)).post('/clear-vector-data');
+                } catch (error) {
+                    console.error('Error clearing AI session on delete:', error.message);
+                }
+            }
+
+            await QueryHistory.updateMany({ chatSession: chatSession._id }, { $unset: { chatSession: 1 } });
+            await ChatSession.deleteOne({ _id: chatSession._id });
+
+            res.json({ message: 'Chat session deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting chat session:', error.message);
+            res.status(500).json({ error: 'Error deleting chat session: ' + error.message });
+        }
+    }
+};
+
+module.exports = chatSessionController;
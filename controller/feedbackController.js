@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const QueryHistory = require('../models/QueryHistory');
+const PDF = require('../models/PDF');
+const User = require('../models/user');
+const parseDate = require('../utils/parseDate');
+const { toCsv } = require('../utils/csv');
+
+const RATINGS = ['up', 'down'];
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+// Group feedback by `key` and compute how many answers were rated helpful
+const helpfulRateStages = (key) => [
+    {
+        $group: {
+            _id: key,
+            total: { $sum: 1 },
+            helpful: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } }
+        }
+    },
+    {
+        $addFields: {
+            notHelpful: { $subtract: ['$total', '$helpful'] },
+            helpfulRate: { $round: [{ $divide: ['$helpful', '$total'] }, 4] }
+        }
+    }
+];
+
+const feedbackController = {
+    // Rate an answer from the user's own query history. Rating again replaces the earlier feedback.
+    submitFeedback: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { rating, comment, correction } = req.body;
+
+            if (!mongoose.isValidObjectId(id)) {
+                return res.status(400).json({ error: 'Invalid history ID' });
+            }
+            if (!RATINGS.includes(rating)) {
+                return res.status(400).json({ error: `Rating must be one of: ${RATINGS.join(', ')}` });
+            }
+
+            const entry = await QueryHistory.findOne({ _id: id, user: req.user._id });
+            if (!entry) {
+                return res.status(404).json({ error: 'History entry not found or not authorized' });
+            }
+
+            entry.feedback = {
+                rating,
+                ...(comment && { comment }),
+                ...(correction && { correction })
+            };
+            await entry.save();
+
+            res.json({
+                message: 'Feedback saved successfully',
+                feedback: entry.feedback
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error('Error saving feedback:', error.message);
+            res.status(500).json({ error: 'Error saving feedback: ' + error.message });
+        }
+    },
+
+    // Helpful-rate overall, per PDF, per user and per day/week/month (admins only)
+    // ?from&to limit the feedback dates; ?format=csv downloads the report
+    getFeedbackReport: async (req, res) => {
+        try {
+            const { interval = 'day', format = 'json' } = req.query;
+            const from = parseDate(req.query.from);
+            const to = parseDate(req.query.to);
+
+            if (from === null || to === null) {
+                return res.status(400).json({ error: 'from and to must be valid dates' });
+            }
+            if (!REPORT_INTERVALS.includes(interval)) {
+                return res.status(400).json({ error: `Interval must be one of: ${REPORT_INTERVALS.join(', ')}` });
+            }
+
+            const match = { 'feedback.rating': { $in: RATINGS } };
+            if (from || to) {
+                match['feedback.createdAt'] = {
+                    ...(from && { $gte: from }),
+                    ...(to && { $lte: to })
+                };
+            }
+
+            const [report] = await QueryHistory.aggregate([
+                { $match: match },
+                {
+                    $facet: {
+                        overall: helpfulRateStages(null),
+                        byPdf: [
+                            ...helpfulRateStages('$pdf'),
+                            { $lookup: { from: PDF.collection.name, localField: '_id', foreignField: '_id', as: 'pdf' } },
+                            { $project: { total: 1, helpful: 1, notHelpful: 1, helpfulRate: 1, name: { $first: '$pdf.originalname' } } },
+                            { $sort: { total: -1 } }
+                        ],
+                        byUser: [
+                            ...helpfulRateStages('$user'),
+                            { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+                            { $project: { total: 1, helpful: 1, notHelpful: 1, helpfulRate: 1, name: { $first: '$user.email' } } },
+                            { $sort: { total: -1 } }
+                        ],
+                        overTime: [
+                            ...helpfulRateStages({ $dateTrunc: { date: '$feedback.createdAt', unit: interval } }),
+                            { $sort: { _id: 1 } }
+                        ]
+                    }
+                }
+            ]);
+
+            const overall = report.overall[0] || { total: 0, helpful: 0, notHelpful: 0, helpfulRate: null };
+            delete overall._id;
+
+            if (format === 'csv') {
+                const row = (section, key, name, stats) =>
+                    [section, key, name, stats.total, stats.helpful, stats.notHelpful, stats.helpfulRate];
+                const csv = toCsv(
+                    ['section', 'key', 'name', 'total', 'helpful', 'notHelpful', 'helpfulRate'],
+                    [
+                        row('overall', '', '', overall),
+                        ...report.byPdf.map(stats => row('pdf', stats._id, stats.name, stats)),
+                        ...report.byUser.map(stats => row('user', stats._id, stats.name, stats)),
+                        ...report.overTime.map(stats => row(interval, stats._id, '', stats))
+                    ]
+                );
+                res.set({
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="feedback-report-${new Date().toISOString().slice(0, 10)}.csv"`
+                });
+                return res.send(csv);
+            }
+
+            res.json({
+                from: from || null,
+                to: to || null,
+                interval,
+                overall,
+                byPdf: report.byPdf,
+                byUser: report.byUser,
+                overTime: report.overTime.map(({ _id, ...stats }) => ({ period: _id, ...stats }))
+            });
+        } catch (error) {
+            console.error('Error building feedback report:', error.message);
+            res.status(500).json({ error: 'Error building feedback report: ' + error.message });
+        }
+    }
+};
+
+module.exports = feedbackController;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { probeAiServer, getAiCircuitStatus } = require('../utils/aiClient');
+
+const MONGO_PING_TIMEOUT_MS = 2000;
+
+// Ping MongoDB without waiting on mongoose's buffering while it is disconnected
+const probeMongo = async () => {
+    const startedAt = Date.now();
+    if (mongoose.connection.readyState !== 1) {
+        return { status: 'down', error: 'Not connected' };
+    }
+
+    let timer;
+    try {
+        await Promise.race([
+            mongoose.connection.db.admin().ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('Ping timed out')), MONGO_PING_TIMEOUT_MS);
+            })
+        ]);
+        return { status: 'up', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        return { status: 'down', latencyMs: Date.now() - startedAt, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+const healthController = {
+    // Liveness: the process is up and serving requests
+    // Dependencies are not checked, so an outage elsewhere never gets the process restarted.
+    getLiveness: (req, res) => {
+        res.status(200).json({
+            success: true,
+            message: 'Server is healthy',
+            environment: process.env.NODE_ENV || 'development',
+            timestamp: new Date().toISOString()
+        });
+    },
+
+    // Readiness: probes MongoDB and every AI backend
+    // Without MongoDB nothing works (503). Without an AI backend questions are refused (or, with
+    // several backends, sessions move to the others) but search, history and downloads still
+    // work, so the server reports "degraded" and stays ready.
+    getReadiness: async (req, res) => {
+        try {
+            const [mongodb, aiServer] = await Promise.all([probeMongo(), probeAiServer()]);
+
+            let status = 'ready';
+            if (mongodb.status !== 'up') {
+                status = 'unavailable';
+            } else if (aiServer.status !== 'up') {
+                status = 'degraded';
+            }
+
+            res.status(status === 'unavailable' ? 503 : 200).json({
+                success: status !== 'unavailable',
+                status,
+                checks: {
+                    mongodb,
+                    aiServer: {
+                        status: aiServer.status,
+                        // Backends are identified by their position in AI_SERVER_URLS:
+                        // this endpoint is public, so internal addresses stay out of it
+                        backends: aiServer.backends.map(({ url, ...backend }, index) => {
+                            const { state, failures, retryAfterMs } = getAiCircuitStatus().find(entry => entry.url === url);
+                            return { backend: index, ...backend, circuit: { state, failures, retryAfterMs } };
+                        })
+                    }
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error checking readiness:', error.message);
+            res.status(503).json({ success: false, status: 'unavailable', error: 'Error checking readiness: ' + error.message });
+        }
+    }
+};
+
+module.exports = healthController;
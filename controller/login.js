@@ -1,9 +1,19 @@
 // controllers/authController.js
 const bcrypt = require("bcryptjs");
 const User = require("../models/user");
-const jwt = require("jsonwebtoken");
+const { createSession, setAuthCookies } = require("../utils/tokens");
+const {
+  POLICIES,
+  getRetryAfter,
+  registerAttempt,
+  clearAttempts,
+  sendTooManyAttempts,
+} = require("../utils/attemptLimiter");
 require("dotenv").config();
 
+// Compared against when the email is unknown, to keep response times uniform
+const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", 12);
+
 
 // LOGIN CONTROLLER
 exports.login = async (req, res) => {
@@ -19,32 +29,45 @@ exports.login = async (req, res) => {
       });
     }
 
-    // STEP 3: Find user
-    let user = await User.findOne({ email });
+    // STEP 3: Refuse while the account or this IP is locked out
+    const accountKey = `login:account:${String(email).toLowerCase()}`;
+    const ipKey = `login:ip:${req.ip}`;
+    const retryAfter = await getRetryAfter([accountKey, ipKey]);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
+    // STEP 4: Find user and verify password
+    // Unknown emails and wrong passwords get the same answer (and roughly the same
+    // bcrypt cost), so the response cannot be used to discover registered accounts
+    let user = await User.findOne({ email: String(email).toLowerCase() });
     // console.log(user);
-    if (!user) {
+    const isMatch = await bcrypt.compare(
+      String(password),
+      user ? user.password : DUMMY_HASH
+    );
+    if (!user || !isMatch) {
+      await Promise.all([
+        registerAttempt(accountKey, POLICIES.loginAccount),
+        registerAttempt(ipKey, POLICIES.loginIp),
+      ]);
       return res.status(401).json({
         success: false,
-        message: "User not registered",
+        message: "Invalid email or password",
       });
     }
 
-    // STEP 4: Verify password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({
+    await clearAttempts([accountKey]);
+
+    if (user.isDisabled) {
+      return res.status(403).json({
         success: false,
-        message: "Incorrect password",
+        message: "Account disabled. Please contact support.",
       });
     }
 
-    // STEP 5: Generate JWT token
-    const payload = { id: user._id, email: user.email }; 
-    const token = jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    // STEP 5: Start a session and issue access + refresh tokens
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     // console.log(typeof user);
     user = user.toObject(); 
@@ -54,22 +77,20 @@ exports.login = async (req, res) => {
     user.password = undefined;
     // console.log(user);
 
-    // STEP 6: Set cookie and send response
+    // STEP 6: Set cookies and send response
     //cookie is a small text file stored on the user's computer by the web browser
-    //cookie needs three parameters: name, data, options
-    res.cookie("token", token, {
-      httpOnly: true,
-      // secure: process.env.NODE_ENV === "production",
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    });
+    //the access token is short-lived, the refresh token is only sent to /api/auth
+    setAuthCookies(res, token, refreshToken);
 
     return res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        role: user.role,
         token: token
       },
       message: "Login successful",
@@ -5,8 +5,17 @@ const OTP = require("../models/otp");
 const jwt = require("jsonwebtoken");
 const otpGenerator = require("otp-generator");
 const mailSender = require("../utils/mailSender.js");
+const {
+  POLICIES,
+  getRetryAfter,
+  registerAttempt,
+  sendTooManyAttempts,
+} = require("../utils/attemptLimiter");
 require("dotenv").config();
 
+// Minimum time between two OTP emails to the same address
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+
 // Helper function to validate email format
 const isValidEmail = (email) => {
   const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -36,7 +45,30 @@ exports.sendOTP = async (req, res) => {
       });
     }
 
-    // STEP 4: Generate unique OTP
+    // STEP 4: Enforce resend cooldown and hourly caps per email and per IP
+    const emailKey = `otp:email:${email.toLowerCase()}`;
+    const ipKey = `otp:ip:${req.ip}`;
+    const retryAfter = await getRetryAfter([emailKey, ipKey]);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
+    const previousOTP = await OTP.findOne({ email });
+    if (previousOTP) {
+      const sinceLastSend = Date.now() - previousOTP.createdAt.getTime();
+      if (sinceLastSend < OTP_RESEND_COOLDOWN_MS) {
+        return sendTooManyAttempts(res, OTP_RESEND_COOLDOWN_MS - sinceLastSend);
+      }
+      // Only one OTP per email is kept, a resend replaces it
+      await OTP.deleteOne({ _id: previousOTP._id });
+    }
+
+    await Promise.all([
+      registerAttempt(emailKey, POLICIES.otpEmail),
+      registerAttempt(ipKey, POLICIES.otpIp),
+    ]);
+
+    // STEP 5: Generate unique OTP
     let otp;
     do {
       otp = otpGenerator.generate(6, {
@@ -46,10 +78,10 @@ exports.sendOTP = async (req, res) => {
       });
     } while (await OTP.findOne({ otp }));
 
-    // STEP 5: Save OTP to database
+    // STEP 6: Save OTP to database
     const otpEntry = await OTP.create({ email, otp });
 
-    // STEP 6: Send response (OTP sent via email through pre-save hook)
+    // STEP 7: Send response (OTP sent via email through pre-save hook)
     return res.status(200).json({
       success: true,
       message: "OTP sent successfully",
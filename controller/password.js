@@ -0,0 +1,199 @@
+// controller/password.js
+const bcrypt = require("bcryptjs");
+const User = require("../models/user");
+const PasswordReset = require("../models/passwordReset");
+const otpGenerator = require("otp-generator");
+const mailSender = require("../utils/mailSender.js");
+const { revokeAllSessions } = require("../utils/tokens");
+const {
+  POLICIES,
+  getRetryAfter,
+  registerAttempt,
+  sendTooManyAttempts,
+} = require("../utils/attemptLimiter");
+require("dotenv").config();
+
+// Wrong guesses allowed against a single reset code before it is discarded
+const MAX_RESET_ATTEMPTS = 5;
+
+// Helper function to validate email format
+const isValidEmail = (email) => {
+  const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return regex.test(email);
+};
+
+// Helper function to build the reset email body
+const resetEmailTemplate = (name, code) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #333;">Reset your password</h2>
+    <p>Hi ${name},</p>
+    <p>Use the code below to reset your AskMyFile password:</p>
+    <div style="background-color: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0;">
+      <h1 style="color: #007bff; font-size: 32px; margin: 0; letter-spacing: 5px;">${code}</h1>
+    </div>
+    <p>This code is valid for <strong>15 minutes</strong>.</p>
+    <p style="color: #666; font-size: 12px;">If you didn't request a password reset, you can safely ignore this email.</p>
+  </div>
+`;
+
+// FORGOT PASSWORD CONTROLLER
+exports.forgotPassword = async (req, res) => {
+  try {
+    // STEP 1: Get email from request
+    const { email } = req.body;
+
+    // STEP 2: Validate email format
+    if (typeof email !== "string" || !isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid email is required",
+      });
+    }
+
+    // Same response whether or not the account exists, so this endpoint
+    // cannot be used to discover registered emails
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for this email, a reset code has been sent",
+    };
+
+    // STEP 3: Cap how often reset emails can be requested per email and per IP
+    const emailKey = `reset:email:${email.toLowerCase()}`;
+    const ipKey = `reset:ip:${req.ip}`;
+    const retryAfter = await getRetryAfter([emailKey, ipKey]);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+    await Promise.all([
+      registerAttempt(emailKey, POLICIES.otpEmail),
+      registerAttempt(ipKey, POLICIES.otpIp),
+    ]);
+
+    // STEP 4: Find user
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // STEP 5: Generate code and replace any previous reset request
+    const code = otpGenerator.generate(6, {
+      upperCaseAlphabets: false,
+      lowerCaseAlphabets: false,
+      specialChars: false,
+    });
+    const codeHash = await bcrypt.hash(code, 10);
+
+    await PasswordReset.deleteMany({ user: user._id });
+    await PasswordReset.create({ user: user._id, email: user.email, codeHash });
+
+    // STEP 6: Email the code
+    await mailSender(
+      user.email,
+      "Reset your password",
+      resetEmailTemplate(user.name, code)
+    );
+
+    return res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error("Forgot Password Error:", error);
+
+    let errorMessage = "Failed to send reset code";
+    let statusCode = 500;
+
+    if (error.message && error.message.includes("Network error")) {
+      errorMessage = "Network error: Unable to connect to email server. Please try again later.";
+      statusCode = 503;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      message: errorMessage,
+      ...(process.env.NODE_ENV === 'development' && { error: error.message }),
+    });
+  }
+};
+
+// RESET PASSWORD CONTROLLER
+exports.resetPassword = async (req, res) => {
+  try {
+    // STEP 1: Fetch and validate input data
+    const { email, code, password, confirmPassword } = req.body;
+
+    if (!email || !code || !password || !confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "All fields are required",
+      });
+    }
+
+    if ([email, code, password, confirmPassword].some((value) => typeof value !== "string")) {
+      return res.status(400).json({
+        success: false,
+        message: "Email, code and passwords must be strings",
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Password and confirm password do not match",
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    // STEP 2: Find the pending reset request
+    const user = await User.findOne({ email: email.toLowerCase() });
+    const resetRequest = user
+      ? await PasswordReset.findOne({ user: user._id }).sort({ createdAt: -1 })
+      : null;
+
+    if (!resetRequest) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset code",
+      });
+    }
+
+    // STEP 3: Verify code, discarding it after too many wrong guesses
+    const isMatch = await bcrypt.compare(String(code), resetRequest.codeHash);
+    if (!isMatch) {
+      resetRequest.attempts += 1;
+      if (resetRequest.attempts >= MAX_RESET_ATTEMPTS) {
+        await PasswordReset.deleteOne({ _id: resetRequest._id });
+      } else {
+        await resetRequest.save();
+      }
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset code",
+      });
+    }
+
+    // STEP 4: Hash and store the new password
+    user.password = await bcrypt.hash(password, 12);
+    await user.save();
+
+    // STEP 5: Reset codes are single use, and existing logins must not survive a reset
+    await PasswordReset.deleteMany({ user: user._id });
+    await revokeAllSessions(user._id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Password reset successful. Please login with your new password.",
+    });
+
+  } catch (error) {
+    console.error("Reset Password Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Password reset failed. Please try again.",
+    });
+  }
+};
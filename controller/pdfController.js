@@ -1,276 +1,768 @@
-    const axios = require('axios');
     const path = require('path');
+    const mongoose = require('mongoose');
     const fs = require('fs');
-    const FormData = require('form-data');
     const PDF = require('../models/PDF');
     const QueryHistory = require('../models/QueryHistory');
+    const ChatSession = require('../models/ChatSession');
+    const IngestJob = require('../models/IngestJob');
+    const { enqueueIngest } = require('../utils/ingestQueue');
+    const { pipeline } = require('stream');
+    const { storeUpload, discardUpload, removeFile, hashFile, openStream, readFileBuffer, getFileSize } = require('../utils/storage');
+    const { createSignedFileUrl, verifySignedFileUrl, MAX_EXPIRES_IN } = require('../utils/signedUrl');
+    const PDFShare = require('../models/PDFShare');
+    const PDFVersion = require('../models/PDFVersion');
+    const PDFPage = require('../models/PDFPage');
+    const Workspace = require('../models/Workspace');
+    const { sharesForUser, findAccessiblePDF, resolveAccessiblePdfIds } = require('../utils/pdfAccess');
+    const { ADMIN_ROLES } = require('../utils/workspaces');
+    const { deletePdfs } = require('../utils/pdfCleanup');
+    const { extractPdfPages, savePdfPages } = require('../utils/pdfText');
+    const { detectFormat, convertUploadToPdf, pdfFileName } = require('../utils/documentConverter');
+    const { isZipName, extractZipUpload } = require('../utils/zipUpload');
+    const { reserveUsage, releaseUsage } = require('../utils/quotas');
+    const { recordUsage } = require('../utils/usageMeter');
+    const { findCachedAnswer, cacheAnswer, invalidateAnswers } = require('../utils/answerCache');
+    const parseDate = require('../utils/parseDate');
+    const escapeRegex = require('../utils/escapeRegex');
+    const { parsePagination, findPage } = require('../utils/pagination');
+    const { EXPORT_FORMATS, streamHistoryExport } = require('../utils/historyExport');
+    const {
+        getAiAxiosForSession,
+        withAiSession,
+        ensureSessionIndexed,
+        streamQueryFromAi,
+        normalizeSources,
+        resetAiSessions,
+        isAiAvailable,
+        isAiUnavailable,
+        aiUnavailableError
+    } = require('../utils/aiClient');
 
+    // Keep-alive interval for Server-Sent Events, so proxies don't close idle streams
+    const SSE_HEARTBEAT_MS = 15000;
 
-    // Configure axios with AI server base URL
-    // IMPORTANT: Use 127.0.0.1 instead of localhost on macOS to avoid AirPlay Receiver conflict on port 5000
-    let AI_SERVER_URL = process.env.AI_SERVER_URL || 'http://127.0.0.1:5000';
-    
-    // Convert localhost to 127.0.0.1 to avoid macOS AirPlay Receiver issues
-    if (AI_SERVER_URL.includes('localhost:5000')) {
-        console.warn('⚠️  WARNING: localhost:5000 detected. Converting to 127.0.0.1:5000 to avoid macOS AirPlay Receiver conflict.');
-        AI_SERVER_URL = AI_SERVER_URL.replace('localhost', '127.0.0.1');
-    }
-    
-    console.log('Using AI server URL:', AI_SERVER_URL);
+    // Version numbers tried when concurrent uploads of new versions collide
+    const VERSION_NUMBER_ATTEMPTS = 5;
+
+    // Degraded mode: while the AI server is down, questions are refused straight away
+    // (search, history and downloads keep working without it)
+    const sendAiUnavailable = (res, error) => {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(503).json({ error: error.message, retryAfter: error.retryAfter, degraded: true });
+    };
 
-    // Store cookies per user (userId -> cookies)
-    const userCookies = new Map();
+    // Write one Server-Sent Event
+    const sendEvent = (res, event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    /**
+     * Whether a user may delete a PDF: its uploader, or an owner/admin of its workspace
+     */
+    const canDeletePDF = async (pdf, user) => {
+        if (pdf.user.equals(user._id)) {
+            return true;
+        }
+        if (!pdf.workspace) {
+            return false;
+        }
+        const workspace = await Workspace.findById(pdf.workspace).select('members');
+        return Boolean(workspace && ADMIN_ROLES.includes(workspace.roleOf(user._id)));
+    };
 
     /**
-     * Get or create axios instance for a specific user
-     * This ensures each user has their own session with the AI server
+     * Latest single-document chat session of a user for a PDF, created if there is none
      */
-    const getAiAxiosForUser = (userId) => {
-        // Create a dedicated axios instance for this user
-        const aiAxios = axios.create({
-            baseURL: AI_SERVER_URL,
-            withCredentials: true,
-            timeout: 60000, // 60 seconds timeout for large file uploads
-            headers: {
-                'Accept': 'application/json',
+    const findOrCreatePdfSession = async (userId, workspace, pdf) => {
+        const chatSession = await ChatSession.findOne({ user: userId, workspace: workspace._id, pdfs: [pdf._id] })
+            .sort({ lastMessageAt: -1, createdAt: -1 })
+            .select('+aiCookie +aiBackend');
+        if (chatSession) {
+            return chatSession;
+        }
+        return ChatSession.create({
+            user: userId,
+            workspace: workspace._id,
+            title: pdf.originalname,
+            pdfs: [pdf._id]
+        });
+    };
+
+    /**
+     * Check an upload's real format and turn non-PDF documents into PDFs
+     * The hash is taken from the file as uploaded, so re-uploading the same
+     * Word or Markdown file is recognised as a duplicate.
+     * Returns { sourceFormat, sha256 } or { error } (the upload is discarded on error)
+     */
+    const prepareUpload = async (file) => {
+        const sourceFormat = await detectFormat(file.path, file.originalname);
+        if (!sourceFormat) {
+            await discardUpload(file);
+            return { error: 'Unsupported or corrupt file. Upload a PDF, DOCX, TXT, Markdown or HTML document.' };
+        }
+
+        const sha256 = await hashFile(file.path);
+        if (sourceFormat !== 'pdf') {
+            try {
+                await convertUploadToPdf(file, sourceFormat);
+            } catch (error) {
+                await discardUpload(file);
+                return { error: `Could not convert ${sourceFormat.toUpperCase()} document: ${error.message}` };
             }
+        }
+        return { sourceFormat, sha256 };
+    };
+
+    /**
+     * Store one uploaded file as a new PDF in the active workspace and queue it for indexing
+     * Shared by single and batch uploads. Re-uploading a file already in the workspace
+     * returns the existing PDF unless newVersion is set.
+     * New documents count against the uploader's quota; duplicates do not.
+     * Returns { result: 'created' | 'duplicate', status, message, data } or { result: 'rejected', reason, status? }
+     */
+    const processUpload = async (req, file, newVersion) => {
+        const userId = req.user._id.toString();
+        const { sourceFormat, sha256, error } = await prepareUpload(file);
+        if (error) {
+            return { result: 'rejected', reason: error };
+        }
+
+        const existing = await PDF.findOne({ user: req.user._id, workspace: req.workspace._id, sha256 })
+            .sort({ createdAt: -1 });
+        if (existing && !newVersion) {
+            await discardUpload(file);
+
+            // Uploading a file whose processing failed is how it gets retried
+            const retried = await PDF.findOneAndUpdate(
+                { _id: existing._id, status: 'failed' },
+                { status: 'queued', error: null },
+                { new: true }
+            );
+            const pdf = retried || existing;
+            const chatSession = retried
+                ? await reindexPdf(retried, req.user._id, req.workspace)
+                : await findOrCreatePdfSession(req.user._id, req.workspace, existing);
+
+            console.log(`Duplicate upload for user ${userId}, returning PDF ${pdf._id}${retried ? ' (queued again)' : ''}`);
+
+            return {
+                result: 'duplicate',
+                status: retried ? 202 : 200,
+                message: retried
+                    ? 'This PDF was already uploaded but failed to process; it was queued for processing again'
+                    : 'This PDF was already uploaded',
+                data: {
+                    _id: pdf._id,
+                    filename: pdf.filename,
+                    originalname: pdf.originalname,
+                    sourceFormat: pdf.sourceFormat,
+                    status: pdf.status,
+                    sessionId: chatSession._id
+                }
+            };
+        }
+
+        const quotaError = await reserveUsage(req.user, file.size, 1);
+        if (quotaError) {
+            await discardUpload(file);
+            return { result: 'rejected', status: quotaError.status, reason: quotaError.error };
+        }
+
+        // Extract the text for full-text search while the file is still on local disk.
+        // Scanned or encrypted PDFs are still accepted, just not searchable.
+        const pages = await extractPdfPages(file.path).catch((error) => {
+            console.error('Text extraction error:', error.message);
+            return null;
         });
 
-        // Response interceptor to store cookies per user
-        aiAxios.interceptors.response.use(
-            response => {
-                // Store cookies from response for this user
-                const setCookieHeader = response.headers['set-cookie'];
-                if (setCookieHeader) {
-                    // Handle both array and string formats
-                    const cookieString = Array.isArray(setCookieHeader) 
-                        ? setCookieHeader.join('; ') 
-                        : setCookieHeader;
-                    userCookies.set(userId, cookieString);
-                }
-                return response;
-            },
-            error => {
-                // Enhanced error logging
-                if (error.response) {
-                    console.error(`AI Server Error for user ${userId}:`, {
-                        status: error.response.status,
-                        statusText: error.response.statusText,
-                        data: error.response.data,
-                        headers: error.response.headers
-                    });
-                } else if (error.request) {
-                    console.error(`AI Server Connection Error for user ${userId}:`, {
-                        message: error.message,
-                        code: error.code
-                    });
+        // Content the AI server already indexed successfully for this user is not sent through
+        // the ingest queue again; chat sessions upload it when the first question is asked.
+        // Other users' documents are not consulted, so an upload reveals nothing about them.
+        const alreadyIndexed = Boolean(await PDF.exists({ user: req.user._id, sha256, status: 'ready' }));
+
+        let savedPdf;
+        try {
+            // Identical bytes are stored once
+            const stored = await storeFileOnce(file, sha256);
+
+            // Save PDF metadata to database
+            const pdf = new PDF({
+                originalname: file.originalname,
+                ...stored,
+                size: file.size,
+                sha256,
+                sourceFormat,
+                pageCount: pages ? pages.length : null,
+                user: req.user._id,
+                workspace: req.workspace._id,
+                status: alreadyIndexed ? 'ready' : 'queued'
+            });
+            savedPdf = await pdf.save();
+        } catch (error) {
+            await releaseUsage(req.user._id, file.size, 1);
+            throw error;
+        }
+        if (pages) {
+            await savePdfPages(savedPdf, pages);
+        }
+
+        // Every upload starts its own chat session on the AI server
+        const chatSession = await ChatSession.create({
+            user: req.user._id,
+            workspace: req.workspace._id,
+            title: file.originalname,
+            pdfs: [savedPdf._id]
+        });
+
+        if (!alreadyIndexed) {
+            await enqueueIngest(savedPdf, chatSession);
+            console.log(`Queued PDF for AI server ingestion for user ${userId}:`, file.originalname);
+        }
+        await recordUsage(req.user._id, { uploads: 1 });
+
+        return {
+            result: 'created',
+            // The same answer whether or not the content was indexed before
+            status: 202,
+            message: isAiAvailable()
+                ? 'PDF uploaded successfully and queued for processing'
+                : 'PDF uploaded successfully. The AI server is unavailable, so processing will start once it is back.',
+            data: {
+                _id: savedPdf._id, // Include the MongoDB document ID
+                filename: savedPdf.filename,
+                originalname: savedPdf.originalname,
+                sourceFormat: savedPdf.sourceFormat,
+                status: savedPdf.status,
+                sessionId: chatSession._id
+            }
+        };
+    };
+
+    /**
+     * Persist an uploaded file, reusing the stored copy of any earlier upload with identical bytes
+     * Returns the file fields for a PDF or PDFVersion document
+     */
+    const storeFileOnce = async (file, sha256) => {
+        const sameBytes = await PDF.findOne({ sha256, storageKey: { $ne: null } })
+            .select('filename storageDriver storageKey path');
+        if (sameBytes) {
+            await discardUpload(file);
+            return {
+                filename: sameBytes.filename,
+                storageDriver: sameBytes.storageDriver,
+                storageKey: sameBytes.storageKey,
+                path: sameBytes.path
+            };
+        }
+        // Hand the file to the configured storage backend
+        return { filename: file.filename, ...(await storeUpload(file)) };
+    };
+
+    /**
+     * Send a PDF whose file changed through the ingest queue again
+     * The AI server cannot replace a single document, so every chat session that
+     * had the old file indexed starts a fresh AI session on its next question.
+     * Returns the chat session the new file is indexed into.
+     */
+    const reindexPdf = async (pdf, userId, workspace) => {
+        await IngestJob.deleteMany({ pdf: pdf._id, status: { $ne: 'processing' } });
+        await resetAiSessions({ indexedPdfs: pdf._id });
+
+        const chatSession = await findOrCreatePdfSession(userId, workspace, pdf);
+        await enqueueIngest(pdf, chatSession);
+        return chatSession;
+    };
+
+    /**
+     * The PDF (and its current version) a history entry is filed under
+     * Multi-PDF questions without a pdfId are filed under the session's first PDF
+     */
+    const historyTarget = async (pdf, chatSession) => {
+        const target = pdf || await PDF.findById(chatSession.pdfs[0]).select('version');
+        return {
+            pdf: target ? target._id : chatSession.pdfs[0],
+            pdfVersion: target && target.version ? target.version : 1
+        };
+    };
+
+    /**
+     * Find the chat session a question belongs to
+     * With a sessionId the question goes to that conversation (pulling pdfId into it);
+     * with only a pdfId it continues the latest single-document chat for that PDF.
+     * Returns { pdf, chatSession } or { status, error }
+     */
+    const resolveChatSession = async (user, workspace, { pdfId, sessionId }) => {
+        const userId = user._id;
+        if (!pdfId && !sessionId) {
+            return { status: 400, error: 'PDF ID or session ID is required' };
+        }
+
+        // Verify PDF exists and the user owns it or may query it
+        let pdf = null;
+        if (pdfId) {
+            const access = await findAccessiblePDF(pdfId, user, 'query');
+            if (!access) {
+                return { status: 404, error: 'PDF not found or not authorized' };
+            }
+            pdf = access.pdf;
+        }
+
+        let chatSession;
+        if (sessionId) {
+            if (!mongoose.isValidObjectId(sessionId)) {
+                return { status: 400, error: 'Invalid chat session ID' };
+            }
+            chatSession = await ChatSession.findOne({ _id: sessionId, user: userId, workspace: workspace._id })
+                .select('+aiCookie +aiBackend');
+            if (!chatSession) {
+                return { status: 404, error: 'Chat session not found or not authorized' };
+            }
+            // Access to a document can be revoked after it was added to the conversation
+            if (!(await resolveAccessiblePdfIds(chatSession.pdfs, user, 'query'))) {
+                return { status: 403, error: 'You no longer have access to one or more PDFs in this chat session' };
+            }
+            if (pdf && !chatSession.pdfs.some(id => id.equals(pdf._id))) {
+                chatSession.pdfs.push(pdf._id);
+                await chatSession.save();
+            }
+        } else {
+            chatSession = await findOrCreatePdfSession(userId, workspace, pdf);
+        }
+
+        if (chatSession.pdfs.length === 0) {
+            return { status: 400, error: 'Chat session has no PDFs. Add a PDF first.' };
+        }
+
+        // Questions can only be asked once every PDF in the conversation has been indexed
+        const notReady = await PDF.countDocuments({
+            _id: { $in: chatSession.pdfs },
+            status: { $in: ['queued', 'processing', 'failed'] }
+        });
+        if (notReady > 0) {
+            return { status: 409, error: 'PDF is still being processed or failed to process. Check its status and try again.' };
+        }
+
+        return { pdf, chatSession };
+    };
+
+    /**
+     * The document whose cached answers a question may be served from
+     * Only the first question of a single-document chat qualifies: its answer depends on
+     * that document alone, while later ones also depend on the conversation so far.
+     * Returns the PDF (with its sha256) or null
+     */
+    const cacheableDocument = async (pdf, chatSession) => {
+        if (chatSession.pdfs.length !== 1 || await QueryHistory.exists({ chatSession: chatSession._id })) {
+            return null;
+        }
+        const document = pdf || await PDF.findById(chatSession.pdfs[0]).select('sha256 version');
+        return document && document.sha256 ? document : null;
+    };
+
+    /**
+     * Record a question answered from the cache in the history and usage, like any other
+     * Returns { sources, queryHistory }
+     */
+    const saveCachedAnswer = async (req, document, chatSession, question, cached) => {
+        const sources = cached.sources.map(source => ({ ...source, pdf: document._id }));
+        const queryHistory = await QueryHistory.create({
+            question,
+            answer: cached.answer,
+            sources,
+            user: req.user._id,
+            ...(await historyTarget(document, chatSession)),
+            workspace: req.workspace._id,
+            chatSession: chatSession._id,
+            cached: true
+        });
+
+        await ChatSession.updateOne({ _id: chatSession._id }, { lastMessageAt: new Date(), cachedQuestion: question });
+        await recordUsage(req.user._id, { questions: 1, cachedAnswers: 1 });
+        return { sources, queryHistory };
+    };
+
+    /**
+     * Ask the AI server the chat's first question if it was answered from the cache,
+     * so the AI server's conversation has it as context for the follow-up being asked
+     * Best effort: if it fails, the follow-up is still asked (and the replay tried next time).
+     */
+    const replayCachedQuestion = async (chatSession, aiAxios) => {
+        if (!chatSession.cachedQuestion) {
+            return;
+        }
+        const params = new URLSearchParams();
+        params.append('query', chatSession.cachedQuestion);
+        try {
+            await aiAxios.post('/query', params, {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
                 }
-                return Promise.reject(error);
+            });
+        } catch (error) {
+            console.error(`Error replaying cached question for chat session ${chatSession._id}:`, error.message);
+            return;
+        }
+
+        chatSession.cachedQuestion = null;
+        await ChatSession.updateOne({ _id: chatSession._id }, { cachedQuestion: null });
+    };
+
+    /**
+     * Build a { createdAt } condition from ?from and ?to
+     * Returns { range } (undefined when neither is given) or { error }
+     */
+    const parseCreatedAtRange = (query) => {
+        const from = parseDate(query.from);
+        const to = parseDate(query.to);
+        if (from === null || to === null) {
+            return { error: 'from and to must be valid dates' };
+        }
+        if (!from && !to) {
+            return {};
+        }
+        return {
+            range: {
+                ...(from && { $gte: from }),
+                ...(to && { $lte: to })
             }
-        );
+        };
+    };
+
+    /**
+     * Filter for the user's query history in the active workspace from ?pdfId, ?pdfVersion, ?from, ?to and ?search
+     * Returns { filter } or { error }
+     */
+    const buildHistoryFilter = (req) => {
+        const { pdfId, pdfVersion, search } = req.query;
+        const filter = { user: req.user._id, workspace: req.workspace._id };
 
-        // Request interceptor to add cookies for this user
-        aiAxios.interceptors.request.use(config => {
-            // Add cookies to request if we have them for this user
-            const cookies = userCookies.get(userId);
-            if (cookies) {
-                config.headers.Cookie = cookies;
+        if (pdfId) {
+            if (!mongoose.isValidObjectId(pdfId)) {
+                return { error: 'Invalid PDF ID' };
             }
-            return config;
+            filter.pdf = pdfId;
+        }
+        if (pdfVersion !== undefined) {
+            const version = parseInt(pdfVersion);
+            if (!pdfId || !(version >= 1)) {
+                return { error: 'pdfVersion must be a positive number and requires pdfId' };
+            }
+            filter.pdfVersion = version === 1
+                ? { $in: [1, null] } // History from before versioning has no pdfVersion
+                : version;
+        }
+
+        const { range, error } = parseCreatedAtRange(req.query);
+        if (error) {
+            return { error };
+        }
+        if (range) {
+            filter.createdAt = range;
+        }
+
+        // Search terms are matched literally
+        if (search) {
+            const pattern = escapeRegex(search);
+            filter.$or = [
+                { question: { $regex: pattern, $options: 'i' } },
+                { answer: { $regex: pattern, $options: 'i' } }
+            ];
+        }
+
+        return { filter };
+    };
+
+    /**
+     * Add viewer URLs to a PDF document
+     * fileUrl is a short-lived signed link that works in <iframe>/<embed>;
+     * downloadUrl requires the usual authentication
+     */
+    const withFileUrls = (pdf, req) => {
+        // Never expose the server path
+        const { path: serverPath, ...doc } = pdf._doc;
+        return {
+            ...doc,
+            fileUrl: createSignedFileUrl(req, pdf._id).url,
+            downloadUrl: `${req.protocol}://${req.get('host')}/api/pdf/pdfs/${pdf._id}/download`,
+        };
+    };
+
+    /**
+     * Stream a stored PDF to the client, honouring a single HTTP Range if requested
+     */
+    const sendStoredFile = async (req, res, pdf) => {
+        const size = await getFileSize(pdf);
+        const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(pdfFileName(pdf))}`,
+            'Cache-Control': 'private, no-store'
         });
 
-        return aiAxios;
+        let range;
+        if (req.headers.range) {
+            const ranges = req.range(size);
+            if (ranges === -1) {
+                res.set('Content-Range', `bytes */${size}`);
+                return res.status(416).end();
+            }
+            // Malformed or multi-range requests get the whole file
+            if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+                range = ranges[0];
+            }
+        }
+
+        if (range) {
+            res.status(206);
+            res.set({
+                'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+                'Content-Length': String(range.end - range.start + 1)
+            });
+        } else {
+            res.status(200);
+            res.set('Content-Length', String(size));
+        }
+
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+
+        const stream = await openStream(pdf, range);
+        pipeline(stream, res, (err) => {
+            if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Error streaming file:', err.message);
+            }
+        });
     };
 
     const pdfController = {
-        // Upload PDF and send to AI server
+        // Upload a PDF (or a DOCX, TXT, Markdown or HTML document, converted to PDF) and queue it for indexing on the AI server
+        // Responds immediately; poll GET /pdfs/:id/status until the PDF is ready
+        // Re-uploading a file already in the workspace returns the existing PDF unless newVersion=true
         uploadPDF: async (req, res) => {
             try {
                 if (!req.file) {
-                    return res.status(400).json({ error: 'No PDF file uploaded' });
+                    return res.status(400).json({ error: 'No file uploaded' });
                 }
 
-                const userId = req.user._id.toString();
-                const aiAxios = getAiAxiosForUser(userId);
+                const newVersion = String(req.body.newVersion ?? req.query.newVersion) === 'true';
+                const { result, status, message, data, reason } = await processUpload(req, req.file, newVersion);
+                if (result === 'rejected') {
+                    return res.status(status || 400).json({ error: reason });
+                }
 
-                // Create form data with the actual file
-                const formData = new FormData();
-                formData.append('pdf_files', fs.createReadStream(req.file.path), {
-                    filename: req.file.originalname,
-                    contentType: 'application/pdf'
+                res.status(status).json({
+                    message,
+                    ...(result === 'duplicate' && { duplicate: true }),
+                    data
                 });
+            } catch (error) {
+                console.error('Upload error:', error.message);
+                res.status(500).json({ error: 'Error uploading PDF: ' + error.message });
+            }
+        },
 
-                console.log(`Sending PDF to AI server for user ${userId}:`, req.file.originalname);
-
-                // Send to AI server with proper headers
-                // FormData.getHeaders() already includes Content-Type with boundary
-                const response = await aiAxios.post('/upload', formData, {
-                    headers: {
-                        ...formData.getHeaders()
-                    },
-                    maxContentLength: Infinity,
-                    maxBodyLength: Infinity,
-                    timeout: 120000 // 2 minutes for large files
-                });
+        // Upload several files at once (form field "files"); ZIP archives are unpacked and each document is uploaded
+        // Files are handled one by one like single uploads, and the response reports for each one
+        // whether it was created, was a duplicate or was rejected (with the reason)
+        uploadBatch: async (req, res) => {
+            try {
+                const files = req.files || [];
+                if (files.length === 0 && !(req.rejectedFiles && req.rejectedFiles.length)) {
+                    return res.status(400).json({ error: 'No files uploaded' });
+                }
+
+                const newVersion = String(req.body.newVersion ?? req.query.newVersion) === 'true';
+                const results = (req.rejectedFiles || []).map(({ file, reason }) => ({ file, result: 'rejected', reason }));
 
-                console.log('AI server response:', response.data);
+                const uploadOne = async (file, archive) => {
+                    const name = { file: file.originalname, ...(archive && { archive }) };
+                    try {
+                        const { result, data, reason } = await processUpload(req, file, newVersion);
+                        results.push({ ...name, result, ...(reason && { reason }), ...(data && { data }) });
+                    } catch (error) {
+                        console.error(`Batch upload error for ${file.originalname}:`, error.message);
+                        await discardUpload(file);
+                        results.push({ ...name, result: 'rejected', reason: 'Error uploading file: ' + error.message });
+                    }
+                };
 
-                // Check if AI server returned success
-                if (!response.data || !response.data.success) {
-                    throw new Error(response.data?.message || 'AI server returned unsuccessful response');
+                // One file at a time, so identical files in the same batch are recognised as duplicates
+                for (const file of files) {
+                    if (!isZipName(file.originalname)) {
+                        await uploadOne(file);
+                        continue;
+                    }
+
+                    let unpacked;
+                    try {
+                        unpacked = await extractZipUpload(file);
+                    } catch (error) {
+                        results.push({ file: file.originalname, result: 'rejected', reason: error.message });
+                        continue;
+                    } finally {
+                        await discardUpload(file);
+                    }
+                    for (const { file: entryName, reason } of unpacked.rejected) {
+                        results.push({ file: entryName, archive: file.originalname, result: 'rejected', reason });
+                    }
+                    for (const entry of unpacked.files) {
+                        await uploadOne(entry, file.originalname);
+                    }
                 }
 
-                // Save PDF metadata to database
-                const pdf = new PDF({
-                    filename: req.file.filename,
-                    originalname: req.file.originalname,
-                    path: req.file.path,
-                    user: req.user._id
-                });
-                const savedPdf = await pdf.save();
+                const summary = { created: 0, duplicate: 0, rejected: 0 };
+                results.forEach(({ result }) => { summary[result] += 1; });
 
-                res.json({
-                    message: 'PDF uploaded successfully',
-                    data: {
-                        _id: savedPdf._id, // Include the MongoDB document ID
-                        filename: savedPdf.filename,
-                        originalname: savedPdf.originalname
-                    },
-                    aiResponse: response.data
+                console.log(`Batch upload for user ${req.user._id}: ${summary.created} created, ${summary.duplicate} duplicates, ${summary.rejected} rejected`);
+
+                res.status(summary.rejected === results.length ? 400 : 200).json({
+                    message: `${summary.created} uploaded, ${summary.duplicate} already uploaded, ${summary.rejected} rejected`,
+                    summary,
+                    results
                 });
             } catch (error) {
-                console.error('Upload error:', error.message);
-                
-                // Enhanced error handling
-                if (error.response) {
-                    const status = error.response.status;
-                    const errorData = error.response.data;
-                    
-                    console.error('AI Server Error Details:', {
-                        status: status,
-                        statusText: error.response.statusText,
-                        data: errorData,
-                        url: `${AI_SERVER_URL}/upload`
-                    });
+                console.error('Batch upload error:', error.message);
+                res.status(500).json({ error: 'Error uploading files: ' + error.message });
+            }
+        },
 
-                    // Handle specific error codes
-                    if (status === 403) {
-                        // Detect macOS AirPlay Receiver conflict
-                        const serverHeader = error.response.headers['server'] || error.response.headers['Server'] || '';
-                        const isAirPlay = serverHeader.includes('AirTunes') || serverHeader.includes('AirPlay');
-                        
-                        if (isAirPlay) {
-                            console.error('🚨 macOS AirPlay Receiver detected on port 5000!');
-                            console.error('   This happens when using localhost:5000 on macOS.');
-                            console.error('   Solution: Use 127.0.0.1:5000 instead, or disable AirPlay Receiver in System Settings.');
-                            
-                            return res.status(503).json({
-                                error: 'Port 5000 conflict detected: macOS AirPlay Receiver is intercepting requests.',
-                                details: 'On macOS, localhost:5000 is used by AirPlay Receiver. Please use 127.0.0.1:5000 instead, or disable AirPlay Receiver in System Settings > General > AirDrop & Handoff.',
-                                solution: 'Set AI_SERVER_URL=http://127.0.0.1:5000 in your .env file or environment variables.'
-                            });
-                        }
-                        
-                        return res.status(503).json({
-                            error: 'AI server access denied. Please ensure the AI server is running and properly configured.',
-                            details: errorData?.message || 'Forbidden - Check AI server configuration'
-                        });
-                    } else if (status === 400) {
-                        return res.status(400).json({
-                            error: errorData?.message || errorData || 'Invalid request to AI server'
-                        });
-                    } else if (status === 500) {
-                        return res.status(502).json({
-                            error: 'AI server internal error. Please try again later.',
-                            details: errorData?.message || 'Internal server error on AI server'
-                        });
-                    } else {
-                        const fallbackMessage = typeof errorData === 'string'
-                            ? errorData
-                            : (errorData?.message || errorData?.error || 'Error from AI server');
-                        return res.status(status >= 500 ? 502 : status).json({
-                            error: fallbackMessage
-                        });
-                    }
-                } else if (error.request) {
-                    // Request was made but no response received
-                    console.error('AI Server Connection Error:', {
-                        message: error.message,
-                        code: error.code,
-                        url: AI_SERVER_URL
-                    });
-                    return res.status(503).json({
-                        error: 'Unable to connect to AI server. Please ensure the AI server is running on ' + AI_SERVER_URL,
-                        details: error.code === 'ECONNREFUSED' 
-                            ? 'Connection refused - AI server may not be running'
-                            : error.message
-                    });
-                } else {
-                    // Error setting up the request
-                    console.error('Upload Setup Error:', error.message);
-                    return res.status(500).json({
-                        error: 'Error uploading PDF: ' + error.message
-                    });
+        // Get the ingestion status of a PDF
+        getPDFStatus: async (req, res) => {
+            try {
+                const { id } = req.params;
+
+                const access = await findAccessiblePDF(id, req.user, 'view');
+                if (!access) {
+                    return res.status(404).json({ error: 'PDF not found or not authorized' });
                 }
+                const { pdf } = access;
+
+                const job = await IngestJob.findOne({ pdf: pdf._id })
+                    .select('attempts maxAttempts nextRunAt');
+
+                res.json({
+                    _id: pdf._id,
+                    status: pdf.status,
+                    error: pdf.error,
+                    ...(job && {
+                        attempts: job.attempts,
+                        maxAttempts: job.maxAttempts,
+                        nextAttemptAt: pdf.status === 'queued' ? job.nextRunAt : null
+                    })
+                });
+            } catch (error) {
+                console.error('Error fetching PDF status:', error.message);
+                res.status(500).json({ error: 'Error fetching PDF status: ' + error.message });
             }
         },
-    
+
         // Query PDF and store history
         queryPDF: async (req, res) => {
+            // Clients that ask for an event stream get the streaming variant
+            if ((req.get('Accept') || '').includes('text/event-stream')) {
+                return pdfController.queryPDFStream(req, res);
+            }
+
             try {
-                const { question, pdfId } = req.body;
+                const { question, pdfId, sessionId } = req.body;
                 if (!question) {
                     return res.status(400).json({ error: 'Question is required' });
                 }
-                if (!pdfId) {
-                    return res.status(400).json({ error: 'PDF ID is required' });
+                const resolved = await resolveChatSession(req.user, req.workspace, { pdfId, sessionId });
+                if (resolved.error) {
+                    return res.status(resolved.status).json({ error: resolved.error });
                 }
+                const { pdf, chatSession } = resolved;
 
-                // Verify PDF exists and belongs to user
-                const pdf = await PDF.findOne({ _id: pdfId, user: req.user._id });
-                if (!pdf) {
-                    return res.status(404).json({ error: 'PDF not found or not authorized' });
+                // Repeated questions about a document are answered from the cache,
+                // which also works while the AI server is down
+                const document = await cacheableDocument(pdf, chatSession);
+                const cached = document && await findCachedAnswer(document.sha256, req.workspace._id, question);
+                if (cached) {
+                    const { sources } = await saveCachedAnswer(req, document, chatSession, question, cached);
+                    return res.json({
+                        answer: cached.answer,
+                        sources,
+                        sessionId: chatSession._id,
+                        cached: true
+                    });
                 }
 
-                const userId = req.user._id.toString();
-                const aiAxios = getAiAxiosForUser(userId);
+                if (!isAiAvailable()) {
+                    return sendAiUnavailable(res, aiUnavailableError());
+                }
 
-                console.log(`Sending query to AI server for user ${userId}:`, question);
+                const userId = req.user._id.toString();
 
                 // Send query to AI server using URLSearchParams for form data
                 const params = new URLSearchParams();
                 params.append('query', question);
 
-                const response = await aiAxios.post('/query', params, {
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
+                // Moves the chat session to another AI backend if its own dies
+                const { response, aiLatencyMs } = await withAiSession(chatSession, async (aiAxios) => {
+                    // Upload any PDFs the AI server session has not seen yet
+                    await ensureSessionIndexed(chatSession, aiAxios);
+                    await replayCachedQuestion(chatSession, aiAxios);
+
+                    console.log(`Sending query to AI server for user ${userId} (session ${chatSession._id}):`, question);
+
+                    const startedAt = Date.now();
+                    const aiResponse = await aiAxios.post('/query', params, {
+                        headers: {
+                            'Content-Type': 'application/x-www-form-urlencoded'
+                        }
+                    });
+                    return { response: aiResponse, aiLatencyMs: Date.now() - startedAt };
                 });
 
                 console.log('AI server query response:', response.data);
 
                 // Check if we have a valid response
                 if (!response.data || !response.data.success || !response.data.data) {
+                    await recordUsage(req.user._id, { aiErrors: 1 });
                     return res.status(500).json({ 
                         error: response.data?.message || 'Invalid response from AI server' 
                     });
                 }
 
+                const sources = await normalizeSources(response.data.data.sources, chatSession);
+
                 // Store query history
                 const queryHistory = new QueryHistory({
                     question,
                     answer: response.data.data.answer,
+                    sources,
                     user: req.user._id,
-                    pdf: pdfId  // Add PDF reference
+                    ...(await historyTarget(pdf, chatSession)),
+                    workspace: req.workspace._id,
+                    chatSession: chatSession._id
                 });
                 await queryHistory.save();
 
+                await ChatSession.updateOne({ _id: chatSession._id }, { lastMessageAt: new Date() });
+                await recordUsage(req.user._id, { questions: 1, aiLatencyMs });
+                if (document) {
+                    await cacheAnswer(document.sha256, req.workspace._id, question, { answer: response.data.data.answer, sources });
+                }
+
                 res.json({
                     answer: response.data.data.answer,
-                    conversation_history: response.data.data.conversation_history
+                    sources,
+                    conversation_history: response.data.data.conversation_history,
+                    sessionId: chatSession._id,
+                    cached: false
                 });
             } catch (error) {
                 console.error('Query error:', error.message);
+                if (isAiUnavailable(error)) {
+                    return sendAiUnavailable(res, error);
+                }
+                if (error.response || error.request) {
+                    await recordUsage(req.user._id, { aiErrors: 1 });
+                }
                 if (error.response) {
                     console.error('Response error data:', error.response.data);
                     return res.status(error.response.status || 500).json({
@@ -285,25 +777,202 @@
             }
         },
 
-        // Clear vector data
+        // Query PDF and relay the answer as Server-Sent Events while it is generated
+        // Events: session { sessionId }, token { token }, done { answer, ... }, error { error }
+        queryPDFStream: async (req, res) => {
+            // EventSource can only send GET requests, so parameters may come from the query string
+            const { question, pdfId, sessionId } = { ...req.query, ...req.body };
+            if (!question) {
+                return res.status(400).json({ error: 'Question is required' });
+            }
+
+            let resolved;
+            let document;
+            let cached;
+            let saved;
+            try {
+                resolved = await resolveChatSession(req.user, req.workspace, { pdfId, sessionId });
+                if (!resolved.error) {
+                    // Cached answers are sent in one piece, even while the AI server is down
+                    document = await cacheableDocument(resolved.pdf, resolved.chatSession);
+                    cached = document && await findCachedAnswer(document.sha256, req.workspace._id, question);
+                    if (cached) {
+                        saved = await saveCachedAnswer(req, document, resolved.chatSession, question, cached);
+                    }
+                }
+            } catch (error) {
+                console.error('Stream query error:', error.message);
+                return res.status(500).json({ error: 'Error processing query: ' + error.message });
+            }
+            if (resolved.error) {
+                return res.status(resolved.status).json({ error: resolved.error });
+            }
+            if (!cached && !isAiAvailable()) {
+                return sendAiUnavailable(res, aiUnavailableError());
+            }
+            const { pdf, chatSession } = resolved;
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            if (cached) {
+                sendEvent(res, 'session', { sessionId: chatSession._id });
+                sendEvent(res, 'token', { token: cached.answer });
+                sendEvent(res, 'done', {
+                    answer: cached.answer,
+                    sources: saved.sources,
+                    sessionId: chatSession._id,
+                    historyId: saved.queryHistory._id,
+                    cached: true
+                });
+                return res.end();
+            }
+
+            // Stop talking to the AI server as soon as the client goes away
+            const abortController = new AbortController();
+            let clientGone = false;
+            res.on('close', () => {
+                if (!res.writableEnded) {
+                    clientGone = true;
+                    abortController.abort();
+                }
+            });
+
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+            try {
+                const userId = req.user._id.toString();
+
+                sendEvent(res, 'session', { sessionId: chatSession._id });
+
+                // Moves the chat session to another AI backend if its own dies,
+                // unless part of the answer has already been streamed to the client
+                let answerStarted = false;
+                const { result, aiLatencyMs } = await withAiSession(chatSession, async (aiAxios) => {
+                    // Upload any PDFs the AI server session has not seen yet
+                    await ensureSessionIndexed(chatSession, aiAxios);
+                    await replayCachedQuestion(chatSession, aiAxios);
+
+                    console.log(`Streaming query to AI server for user ${userId} (session ${chatSession._id}):`, question);
+
+                    const startedAt = Date.now();
+                    try {
+                        const streamed = await streamQueryFromAi(aiAxios, question, {
+                            signal: abortController.signal,
+                            onToken: token => {
+                                answerStarted = true;
+                                sendEvent(res, 'token', { token });
+                            }
+                        });
+                        return { result: streamed, aiLatencyMs: Date.now() - startedAt };
+                    } catch (error) {
+                        error.noFailover = answerStarted;
+                        throw error;
+                    }
+                });
+
+                if (!result.answer) {
+                    throw new Error('Empty answer from AI server');
+                }
+
+                const sources = await normalizeSources(result.sources, chatSession);
+
+                // Only complete answers are stored in the history
+                const queryHistory = await QueryHistory.create({
+                    question,
+                    answer: result.answer,
+                    sources,
+                    user: req.user._id,
+                    ...(await historyTarget(pdf, chatSession)),
+                    workspace: req.workspace._id,
+                    chatSession: chatSession._id
+                });
+
+                await ChatSession.updateOne({ _id: chatSession._id }, { lastMessageAt: new Date() });
+                await recordUsage(req.user._id, { questions: 1, aiLatencyMs });
+                if (document) {
+                    await cacheAnswer(document.sha256, req.workspace._id, question, { answer: result.answer, sources });
+                }
+
+                sendEvent(res, 'done', {
+                    answer: result.answer,
+                    sources,
+                    conversation_history: result.conversation_history,
+                    sessionId: chatSession._id,
+                    historyId: queryHistory._id,
+                    cached: false
+                });
+            } catch (error) {
+                if (clientGone || error.code === 'ERR_CANCELED') {
+                    console.log(`Client disconnected, stream aborted for session ${chatSession._id}`);
+                    return;
+                }
+
+                console.error('Stream query error:', error.message);
+                let message = 'Error processing query: ' + error.message;
+                if (error.response || error.request) {
+                    await recordUsage(req.user._id, { aiErrors: 1 });
+                }
+                if (isAiUnavailable(error)) {
+                    message = error.message;
+                } else if (error.response) {
+                    message = `Error from AI server (status ${error.response.status})`;
+                } else if (error.request) {
+                    message = 'Unable to connect to AI server. Please ensure the AI server is running.';
+                }
+                sendEvent(res, 'error', { error: message });
+            } finally {
+                clearInterval(heartbeat);
+                if (!res.writableEnded) {
+                    res.end();
+                }
+            }
+        },
+
+        // Clear vector data for one chat session, or for all of the user's sessions
         clearVectorData: async (req, res) => {
             try {
                 const userId = req.user._id.toString();
-                const aiAxios = getAiAxiosForUser(userId);
-                
-                console.log(`Sending clear vector data request to AI server for user ${userId}`);
+                const { sessionId } = req.body;
+
+                const filter = { user: req.user._id, workspace: req.workspace._id, aiCookie: { $ne: null } };
+                if (sessionId) {
+                    if (!mongoose.isValidObjectId(sessionId)) {
+                        return res.status(400).json({ error: 'Invalid chat session ID' });
+                    }
+                    filter._id = sessionId;
+                }
+                const chatSessions = await ChatSession.find(filter).select('+aiCookie +aiBackend');
+
+                console.log(`Sending clear vector data request to AI server for user ${userId} (${chatSessions.length} session(s))`);
 
                 // Send request to AI server
-                const response = await aiAxios.post('/clear-vector-data');
+                const results = [];
+                for (const chatSession of chatSessions) {
+                    const aiAxios = await getAiAxiosForSession(chatSession);
+                    const response = await aiAxios.post('/clear-vector-data');
+                    results.push(response.data);
+                }
+
+                console.log('AI server clear vector data response:', results);
 
-                console.log('AI server clear vector data response:', response.data);
+                // Cleared sessions are re-indexed on their next question
+                await resetAiSessions({ _id: { $in: chatSessions.map(chatSession => chatSession._id) } });
 
                 res.json({
                     message: 'Vector data cleared successfully',
-                    data: response.data
+                    data: results
                 });
             } catch (error) {
                 console.error('Clear vector data error:', error.message);
+                if (isAiUnavailable(error)) {
+                    return sendAiUnavailable(res, error);
+                }
                 if (error.response) {
                     console.error('Response error data:', error.response.data);
                     return res.status(error.response.status || 500).json({
@@ -318,23 +987,67 @@
             }
         },
 
-        // Get all PDFs for the logged-in user
+        // Get all PDFs in the active workspace, plus PDFs shared with the user
+        // ?search (file name), ?status, ?from and ?to filter; ?limit, ?sort=createdAt|originalname,
+        // ?order=asc|desc and ?cursor paginate. Shared PDFs are only listed with the first page.
         getAllPDFs: async (req, res) => {
             try {
-                // Find all PDFs for the current user
-                const pdfs = await PDF.find({ user: req.user._id })
-                    .select('-path') // Exclude the server path for security
-                    .sort({ createdAt: -1 }); // Sort by newest first
+                const { search, status } = req.query;
+                const filter = { workspace: req.workspace._id };
+
+                if (search) {
+                    filter.originalname = { $regex: escapeRegex(search), $options: 'i' };
+                }
+                if (status) {
+                    const statuses = PDF.schema.path('status').enumValues;
+                    if (!statuses.includes(status)) {
+                        return res.status(400).json({ error: `Status must be one of: ${statuses.join(', ')}` });
+                    }
+                    filter.status = status;
+                }
+                const { range, error } = parseCreatedAtRange(req.query);
+                if (error) {
+                    return res.status(400).json({ error });
+                }
+                if (range) {
+                    filter.createdAt = range;
+                }
+
+                const page = parsePagination(req.query, { createdAt: 'date', originalname: 'string' });
+                if (page.error) {
+                    return res.status(400).json({ error: page.error });
+                }
+
+                // Find the PDFs in the active workspace, newest first by default
+                const { items: pdfs, nextCursor, hasMore } = await findPage(PDF, filter, page,
+                    query => query.select('-path')); // Exclude the server path for security
 
                 // Add fileUrl to each PDF
-                const pdfsWithUrls = pdfs.map((pdf) => ({
-                    ...pdf._doc,
-                    fileUrl: `${req.protocol}://${req.get('host')}/uploads/${pdf.filename}`,
-                }));
+                const pdfsWithUrls = pdfs.map((pdf) => withFileUrls(pdf, req));
+
+                // PDFs other users shared with this user are listed separately
+                let sharedWithUrls = [];
+                if (!page.after) {
+                    const shares = await PDFShare.find(sharesForUser(req.user))
+                        .populate({ path: 'pdf', select: '-path' })
+                        .populate('owner', 'name email')
+                        .sort({ createdAt: -1 });
+                    sharedWithUrls = shares
+                        .filter((share) => share.pdf)
+                        .map((share) => ({
+                            ...withFileUrls(share.pdf, req),
+                            owner: share.owner,
+                            permission: share.permission,
+                        }));
+                }
 
                 res.json({
                     count: pdfsWithUrls.length,
                     pdfs: pdfsWithUrls,
+                    nextCursor,
+                    hasMore,
+                    sharedCount: sharedWithUrls.length,
+                    shared: sharedWithUrls,
                 });
             } catch (error) {
                 console.error('Error fetching PDFs:', error.message);
@@ -347,18 +1060,17 @@
             try {
                 const { id } = req.params;
                 
-                // Find PDF by ID and verify it belongs to the user
-                const pdf = await PDF.findOne({ _id: id, user: req.user._id })
-                    .select('-path'); // Exclude the server path for security
+                // Find PDF by ID and verify the user owns it or it was shared with them
+                const access = await findAccessiblePDF(id, req.user, 'view');
                 
-                if (!pdf) {
+                if (!access) {
                     return res.status(404).json({ error: 'PDF not found or not authorized' });
                 }
 
                 // Add fileUrl
                 const pdfWithUrl = {
-                    ...pdf._doc,
-                    fileUrl: `${req.protocol}://${req.get('host')}/uploads/${pdf.filename}`,
+                    ...withFileUrls(access.pdf, req),
+                    permission: access.access
                 };
 
                 res.json({
@@ -370,27 +1082,366 @@
             }
         },
 
+        // Stream a PDF the user can view (supports Range requests for the in-browser viewer)
+        downloadPDF: async (req, res) => {
+            try {
+                const { id } = req.params;
+
+                const access = await findAccessiblePDF(id, req.user, 'view');
+                if (!access) {
+                    return res.status(404).json({ error: 'PDF not found or not authorized' });
+                }
+
+                await sendStoredFile(req, res, access.pdf);
+            } catch (error) {
+                console.error('Download error:', error.message);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Error downloading PDF: ' + error.message });
+                }
+            }
+        },
+
+        // Create a time-limited link to a PDF that can be embedded or shared without logging in
+        createShareUrl: async (req, res) => {
+            try {
+                const { id } = req.params;
+                const { expiresIn } = req.body;
+
+                if (expiresIn !== undefined && !(parseInt(expiresIn) > 0 && parseInt(expiresIn) <= MAX_EXPIRES_IN)) {
+                    return res.status(400).json({ error: `expiresIn must be between 1 and ${MAX_EXPIRES_IN} seconds` });
+                }
+
+                // A public link is a form of sharing, so it needs manage permission
+                const access = await findAccessiblePDF(id, req.user, 'manage');
+                if (!access) {
+                    return res.status(404).json({ error: 'PDF not found or not authorized' });
+                }
+
+                const { url, expiresAt } = createSignedFileUrl(req, access.pdf._id, expiresIn);
+
+                res.json({ url, expiresAt });
+            } catch (error) {
+                console.error('Error creating share URL:', error.message);
+                res.status(500).json({ error: 'Error creating share URL: ' + error.message });
+            }
+        },
+
+        // Serve a PDF through a signed URL (no authentication, signature and expiry are checked instead)
+        downloadSignedPDF: async (req, res) => {
+            try {
+                const { id } = req.params;
+                const { expires, signature } = req.query;
+
+                if (!verifySignedFileUrl(id, expires, signature)) {
+                    return res.status(403).json({ error: 'Invalid or expired link' });
+                }
+
+                const pdf = await PDF.findById(id);
+                if (!pdf) {
+                    return res.status(404).json({ error: 'PDF not found' });
+                }
+
+                await sendStoredFile(req, res, pdf);
+            } catch (error) {
+                console.error('Signed download error:', error.message);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Error downloading PDF: ' + error.message });
+                }
+            }
+        },
+
+        // Upload a new revision of a PDF (owner or "manage" access) and re-index it on the AI server
+        // Questions asked so far stay attached to the version they were asked against
+        uploadVersion: async (req, res) => {
+            try {
+                if (!req.file) {
+                    return res.status(400).json({ error: 'No file uploaded' });
+                }
+
+                const access = await findAccessiblePDF(req.params.id, req.user, 'manage');
+                if (!access) {
+                    await discardUpload(req.file);
+                    return res.status(404).json({ error: 'PDF not found or not authorized' });
+                }
+                const { pdf } = access;
+
+                const { sourceFormat, sha256, error } = await prepareUpload(req.file);
+                if (error) {
+                    return res.status(400).json({ error });
+                }
+                if (pdf.sha256 === sha256) {
+                    await discardUpload(req.file);
+                    return res.status(409).json({ error: 'This file is identical to the current version' });
+                }
+
+                // Every version is kept, so its bytes count against the quota of whoever uploads it
+                const quotaError = await reserveUsage(req.user, req.file.size, 0);
+                if (quotaError) {
+                    await discardUpload(req.file);
+                    return res.status(quotaError.status).json({ error: quotaError.error });
+                }
+
+                const pages = await extractPdfPages(req.file.path).catch((error) => {
+                    console.error('Text extraction error:', error.message);
+                    return null;
+                });
+
+                let stored;
+                let file;
+                let version;
+                try {
+                    stored = await storeFileOnce(req.file, sha256);
+
+                    // Documents from before versioning get their current file recorded as version 1
+                    const currentVersion = pdf.version || 1;
+                    await PDFVersion.updateOne(
+                        { pdf: pdf._id, version: currentVersion },
+                        {
+                            $setOnInsert: {
+                                filename: pdf.filename,
+                                originalname: pdf.originalname,
+                                path: pdf.path,
+                                storageDriver: pdf.storageDriver,
+                                storageKey: pdf.storageKey,
+                                size: pdf.size,
+                                sha256: pdf.sha256,
+                                sourceFormat: pdf.sourceFormat,
+                                pageCount: pdf.pageCount,
+                                uploadedBy: pdf.user,
+                                createdAt: pdf.createdAt
+                            }
+                        },
+                        { upsert: true }
+                    ).catch((error) => {
+                        // A concurrent upload recorded it first
+                        if (error.code !== 11000) {
+                            throw error;
+                        }
+                    });
+
+                    file = {
+                        ...stored,
+                        originalname: req.file.originalname,
+                        size: req.file.size,
+                        sha256,
+                        sourceFormat,
+                        pageCount: pages ? pages.length : null
+                    };
+                    // The new version takes the number after the highest one. A concurrent upload
+                    // can take that number first (duplicate key); then the next one is tried.
+                    for (let attempt = 1; !version; attempt++) {
+                        const latest = await PDFVersion.findOne({ pdf: pdf._id }).sort({ version: -1 }).select('version');
+                        try {
+                            version = await PDFVersion.create({
+                                pdf: pdf._id,
+                                version: latest.version + 1,
+                                ...file,
+                                uploadedBy: req.user._id
+                            });
+                        } catch (error) {
+                            if (error.code !== 11000 || attempt >= VERSION_NUMBER_ATTEMPTS) {
+                                throw error;
+                            }
+                        }
+                    }
+                } catch (error) {
+                    await releaseUsage(req.user._id, req.file.size, 0);
+                    // Remove the stored copy unless another document shares it
+                    if (stored && stored.storageKey) {
+                        const location = { storageDriver: stored.storageDriver, storageKey: stored.storageKey };
+                        if (!(await PDF.exists(location)) && !(await PDFVersion.exists(location))) {
+                            await removeFile(stored);
+                        }
+                    }
+                    if (error.code === 11000) {
+                        return res.status(409).json({ error: 'Other versions of this PDF are being uploaded at the same time. Please try again.' });
+                    }
+                    throw error;
+                }
+
+                const replacedSha256 = pdf.sha256;
+                Object.assign(pdf, file, { version: version.version, status: 'queued', error: null });
+                await pdf.save();
+                // Answers about the replaced content must not be served for the new version
+                await invalidateAnswers([replacedSha256]);
+                if (pages) {
+                    await savePdfPages(pdf, pages);
+                } else {
+                    await PDFPage.deleteMany({ pdf: pdf._id });
+                }
+
+                const chatSession = await reindexPdf(pdf, req.user._id, req.workspace);
+                await recordUsage(req.user._id, { uploads: 1 });
+
+                res.status(202).json({
+                    message: 'New version uploaded and queued for processing',
+                    data: {
+                        _id: pdf._id,
+                        version: pdf.version,
+                        originalname: pdf.originalname,
+                        status: pdf.status,
+                        sessionId: chatSession._id
+                    }
+                });
+            } catch (error) {
+                console.error('Version upload error:', error.message);
+                res.status(500).json({ error: 'Error uploading new version: ' + error.message });
+            }
+        },
+
+        // List the versions of a PDF with how many of the user's questions were asked against each
+        getVersions: async (req, res) => {
+            try {
+                const access = await findAccessiblePDF(req.params.id, req.user, 'view');
+                if (!access) {
+                    return res.status(404).json({ error: 'PDF not found or not authorized' });
+                }
+                const { pdf } = access;
+
+                const [versions, questionCounts] = await Promise.all([
+                    PDFVersion.find({ pdf: pdf._id })
+                        .select('-path')
+                        .populate('uploadedBy', 'name email')
+                        .sort({ version: -1 }),
+                    QueryHistory.aggregate([
+                        { $match: { pdf: pdf._id, user: req.user._id } },
+                        { $group: { _id: { $ifNull: ['$pdfVersion', 1] }, count: { $sum: 1 } } }
+                    ])
+                ]);
+                const counts = new Map(questionCounts.map(({ _id, count }) => [_id, count]));
+
+                // Documents that were never revised only have their current file
+                const list = versions.length > 0
+                    ? versions.map(version => version.toObject())
+                    : [{ version: pdf.version || 1, originalname: pdf.originalname, sourceFormat: pdf.sourceFormat, size: pdf.size, sha256: pdf.sha256, pageCount: pdf.pageCount, createdAt: pdf.createdAt }];
+
+                res.json({
+                    currentVersion: pdf.version || 1,
+                    count: list.length,
+                    versions: list.map(version => ({
+                        ...version,
+                        isCurrent: version.version === (pdf.version || 1),
+                        questionCount: counts.get(version.version) || 0
+                    }))
+                });
+            } catch (error) {
+                console.error('Error fetching versions:', error.message);
+                res.status(500).json({ error: 'Error fetching versions: ' + error.message });
+            }
+        },
+
+        // Stream the file of a specific version (supports Range requests)
+        downloadVersion: async (req, res) => {
+            try {
+                const access = await findAccessiblePDF(req.params.id, req.user, 'view');
+                if (!access) {
+                    return res.status(404).json({ error: 'PDF not found or not authorized' });
+                }
+                const { pdf } = access;
+                const versionNumber = parseInt(req.params.version);
+                if (!(versionNumber >= 1)) {
+                    return res.status(400).json({ error: 'Invalid version' });
+                }
+
+                const version = versionNumber === (pdf.version || 1)
+                    ? pdf
+                    : await PDFVersion.findOne({ pdf: pdf._id, version: versionNumber });
+                if (!version) {
+                    return res.status(404).json({ error: 'Version not found' });
+                }
+
+                await sendStoredFile(req, res, version);
+            } catch (error) {
+                console.error('Version download error:', error.message);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Error downloading version: ' + error.message });
+                }
+            }
+        },
+
+        // Make an earlier version current again (owner or "manage" access) and re-index it
+        restoreVersion: async (req, res) => {
+            try {
+                const access = await findAccessiblePDF(req.params.id, req.user, 'manage');
+                if (!access) {
+                    return res.status(404).json({ error: 'PDF not found or not authorized' });
+                }
+                const { pdf } = access;
+                const versionNumber = parseInt(req.params.version);
+                if (!(versionNumber >= 1)) {
+                    return res.status(400).json({ error: 'Invalid version' });
+                }
+
+                if (versionNumber === (pdf.version || 1)) {
+                    return res.status(400).json({ error: 'This version is already current' });
+                }
+                const version = await PDFVersion.findOne({ pdf: pdf._id, version: versionNumber });
+                if (!version) {
+                    return res.status(404).json({ error: 'Version not found' });
+                }
+
+                const replacedSha256 = pdf.sha256;
+                Object.assign(pdf, {
+                    filename: version.filename,
+                    originalname: version.originalname,
+                    path: version.path,
+                    storageDriver: version.storageDriver,
+                    storageKey: version.storageKey,
+                    size: version.size,
+                    sha256: version.sha256,
+                    sourceFormat: version.sourceFormat,
+                    pageCount: version.pageCount,
+                    version: version.version,
+                    status: 'queued',
+                    error: null
+                });
+                await pdf.save();
+                await invalidateAnswers([replacedSha256]);
+
+                // Search must match the restored text
+                const pages = await readFileBuffer(version)
+                    .then(extractPdfPages)
+                    .catch((error) => {
+                        console.error('Text extraction error:', error.message);
+                        return null;
+                    });
+                if (pages) {
+                    await savePdfPages(pdf, pages);
+                } else {
+                    await PDFPage.deleteMany({ pdf: pdf._id });
+                }
+
+                const chatSession = await reindexPdf(pdf, req.user._id, req.workspace);
+
+                res.json({
+                    message: `Version ${version.version} restored and queued for processing`,
+                    data: {
+                        _id: pdf._id,
+                        version: pdf.version,
+                        originalname: pdf.originalname,
+                        status: pdf.status,
+                        sessionId: chatSession._id
+                    }
+                });
+            } catch (error) {
+                console.error('Version restore error:', error.message);
+                res.status(500).json({ error: 'Error restoring version: ' + error.message });
+            }
+        },
+
         deletePDF: async (req, res) => {
             try {
             const { id } = req.params;
             
-            // Check if PDF exists and belongs to user
-            const pdf = await PDF.findOne({ _id: id, user: req.user._id });
+            // Only the uploader or an admin of its workspace may delete (collaborators cannot)
+            const pdf = await PDF.findById(id);
             
-            if (!pdf) {
+            if (!pdf || !(await canDeletePDF(pdf, req.user))) {
                 return res.status(404).json({ error: 'PDF not found or not authorized' });
             }
             
-            
-            // Delete file from filesystem
-            fs.unlink(pdf.path, (err) => {
-                if (err) console.error('Error deleting file:', err);
-            });
-
-            // Delete all associated query history entries
-        await QueryHistory.deleteMany({ pdf: id });
-            // Delete from database
-        await PDF.deleteOne({ _id: id });
+            // Delete the file, its query history, shares and chat session references
+        await deletePdfs([pdf]);
         
         res.json({ message: 'PDF deleted successfully' });
     } catch (error) {
@@ -399,32 +1450,65 @@
     }
     },
 
-    // Get query history for the logged-in user
+    // Get query history for the logged-in user in the active workspace
+    // ?pdfId, ?from, ?to and ?search filter; ?limit, ?order=asc|desc and ?cursor (nextCursor of the previous page) paginate
     getQueryHistory: async (req, res) => {
         try {
+            const { filter, error } = buildHistoryFilter(req);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            const page = parsePagination(req.query, { createdAt: 'date' }, { defaultLimit: 50 });
+            if (page.error) {
+                return res.status(400).json({ error: page.error });
+            }
 
-            const { limit = 50, search } = req.query;
-            const filter = { user: req.user._id };
-            
-            if (search) {
-                filter.$or = [
-                    { question: { $regex: search, $options: 'i' } },
-                    { answer: { $regex: search, $options: 'i' } }
-                ];
-            }
-        // Find all query history entries for the current user
-        const history = await QueryHistory.find(filter)
+        // Find the current user's query history entries in the active workspace
+        const { items: history, nextCursor, hasMore } = await findPage(QueryHistory, filter, page, query => query
                 .populate('pdf', 'originalname filename') // Include PDF info
-                .sort({ createdAt: -1 })
-                .limit(parseInt(limit));
+                .populate('sources.pdf', 'originalname'));
         res.json({
             count: history.length,
-            history: history
+            history: history,
+            nextCursor,
+            hasMore
         });
         } catch (error) {
         console.error('Error fetching query history:', error.message);
         res.status(500).json({ error: 'Error fetching query history: ' + error.message });
         }
+    },
+
+    // Download the user's query history in the active workspace as CSV, JSON or a Markdown transcript
+    // ?format=csv|json|md, optionally limited to one PDF (?pdfId) and a date range (?from, ?to)
+    exportQueryHistory: async (req, res) => {
+        try {
+            const { format = 'json' } = req.query;
+            if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+                return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+            }
+
+            const { filter, error } = buildHistoryFilter(req);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            // The Markdown transcript groups questions by document
+            const sort = format === 'md' ? { pdf: 1, createdAt: 1 } : { createdAt: 1 };
+            const cursor = QueryHistory.find(filter)
+                .populate('pdf', 'originalname')
+                .sort(sort)
+                .lean()
+                .cursor();
+
+            await streamHistoryExport(res, cursor, format);
+        } catch (error) {
+            console.error('Error exporting query history:', error.message);
+            if (!res.headersSent) {
+                return res.status(500).json({ error: 'Error exporting query history: ' + error.message });
+            }
+            res.destroy(error);
+        }
     }
 
 
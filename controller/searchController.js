@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const PDF = require('../models/PDF');
+const PDFPage = require('../models/PDFPage');
+const escapeRegex = require('../utils/escapeRegex');
+const escapeHtml = require('../utils/escapeHtml');
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 80;
+const MAX_PAGES_PER_PDF = 5;
+// Pages fetched from the text index before grouping them by document
+const MAX_MATCHED_PAGES = 500;
+
+// Words of a $text search string, without quotes and negated terms
+const searchTerms = (q) => q
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'));
+
+/**
+ * Cut a snippet around the first matching term and wrap every match in <mark>
+ * The text index matches word stems, so when no term appears literally the
+ * snippet is the start of the page.
+ */
+const buildSnippet = (text, terms) => {
+    const pattern = terms.length > 0
+        ? new RegExp(terms.map(escapeRegex).join('|'), 'gi')
+        : null;
+    const first = pattern ? text.search(pattern) : -1;
+
+    const start = Math.max(first - SNIPPET_RADIUS, 0);
+    const end = Math.min((first === -1 ? 0 : first) + SNIPPET_RADIUS * 2, text.length);
+    let snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    snippet = escapeHtml(snippet);
+    if (pattern) {
+        snippet = snippet.replace(new RegExp(terms.map(term => escapeRegex(escapeHtml(term))).join('|'), 'gi'),
+            match => `<mark>${match}</mark>`);
+    }
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+const searchController = {
+    // Full-text search over the text of the PDFs in the active workspace
+    // Works from the text extracted at upload time, so it does not need the AI server.
+    searchPDFs: async (req, res) => {
+        try {
+            const q = String(req.query.q || '').trim();
+            const { pdfId } = req.query;
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+            if (!q) {
+                return res.status(400).json({ error: 'Search query (q) is required' });
+            }
+            if (q.length > MAX_QUERY_LENGTH) {
+                return res.status(400).json({ error: `Search query must be at most ${MAX_QUERY_LENGTH} characters` });
+            }
+            if (pdfId && !mongoose.isValidObjectId(pdfId)) {
+                return res.status(400).json({ error: 'Invalid PDF ID' });
+            }
+
+            const filter = { workspace: req.workspace._id, $text: { $search: q } };
+            if (pdfId) {
+                filter.pdf = pdfId;
+            }
+
+            const pages = await PDFPage.find(filter, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } })
+                .limit(MAX_MATCHED_PAGES)
+                .lean();
+
+            // Group pages by document; documents are ranked by their best page
+            const byPdf = new Map();
+            for (const page of pages) {
+                const key = page.pdf.toString();
+                if (!byPdf.has(key)) {
+                    byPdf.set(key, { score: page.score, matchCount: 0, pages: [] });
+                }
+                const result = byPdf.get(key);
+                result.matchCount += 1;
+                if (result.pages.length < MAX_PAGES_PER_PDF) {
+                    result.pages.push(page);
+                }
+            }
+
+            const topIds = [...byPdf.keys()].slice(0, limit);
+            const pdfs = await PDF.find({ _id: { $in: topIds }, workspace: req.workspace._id })
+                .select('originalname sourceFormat status pageCount createdAt');
+            const pdfsById = new Map(pdfs.map(pdf => [pdf._id.toString(), pdf]));
+
+            const terms = searchTerms(q);
+            const results = topIds
+                .filter(id => pdfsById.has(id))
+                .map(id => {
+                    const { score, matchCount, pages: matchedPages } = byPdf.get(id);
+                    return {
+                        pdf: pdfsById.get(id),
+                        score,
+                        matchCount,
+                        pages: matchedPages
+                            .map(page => ({
+                                page: page.page,
+                                score: page.score,
+                                snippet: buildSnippet(page.text, terms)
+                            }))
+                            .sort((a, b) => a.page - b.page)
+                    };
+                });
+
+            res.json({
+                query: q,
+                count: results.length,
+                results
+            });
+        } catch (error) {
+            console.error('Error searching PDFs:', error.message);
+            res.status(500).json({ error: 'Error searching PDFs: ' + error.message });
+        }
+    }
+};
+
+module.exports = searchController;
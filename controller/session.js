@@ -0,0 +1,110 @@
+// controller/session.js
+const User = require("../models/user");
+const Session = require("../models/session");
+const {
+  signAccessToken,
+  setAuthCookies,
+  clearAuthCookies,
+  rotateSession,
+  revokeAllSessions,
+} = require("../utils/tokens");
+require("dotenv").config();
+
+// REFRESH TOKEN CONTROLLER
+exports.refresh = async (req, res) => {
+  try {
+    // STEP 1: Get refresh token from cookie or body
+    const presented = req.cookies.refreshToken || req.body.refreshToken;
+    if (!presented) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    // STEP 2: Rotate the refresh token
+    const rotated = await rotateSession(presented);
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token. Please login.",
+      });
+    }
+
+    // STEP 3: Issue a new access token for the same session
+    const user = await User.findById(rotated.session.user).select("-password");
+    if (!user) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+    const token = signAccessToken(user, rotated.session);
+
+    // STEP 4: Set cookies and send response
+    setAuthCookies(res, token, rotated.refreshToken);
+
+    return res.status(200).json({
+      success: true,
+      token,
+      refreshToken: rotated.refreshToken,
+      message: "Token refreshed",
+    });
+
+  } catch (error) {
+    console.error("Refresh Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Token refresh failed. Please login again.",
+    });
+  }
+};
+
+// LOGOUT CONTROLLER (current device)
+exports.logout = async (req, res) => {
+  try {
+    // The auth middleware has already verified the token, so its session id is trusted
+    await Session.updateOne(
+      { _id: req.sessionId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    clearAuthCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+
+  } catch (error) {
+    console.error("Logout Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Logout failed. Please try again.",
+    });
+  }
+};
+
+// LOGOUT ALL DEVICES CONTROLLER
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id);
+
+    clearAuthCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      revoked,
+      message: "Logged out from all devices",
+    });
+
+  } catch (error) {
+    console.error("Logout All Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Logout failed. Please try again.",
+    });
+  }
+};
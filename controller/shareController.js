@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const PDFShare = require('../models/PDFShare');
+const mailSender = require('../utils/mailSender');
+const escapeHtml = require('../utils/escapeHtml');
+const { findAccessiblePDF } = require('../utils/pdfAccess');
+const { detachPdfFromSessions } = require('../utils/aiClient');
+
+const PERMISSIONS = PDFShare.schema.path('permission').enumValues;
+
+// Helper function to validate email format
+const isValidEmail = (email) => {
+    const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return regex.test(email);
+};
+
+// Helper function to build the invitation email body
+// Names are chosen by the sharer, so every value is escaped
+const shareEmailTemplate = (inviter, pdf, permission, isRegistered) => {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    const action = isRegistered
+        ? `<a href="${escapeHtml(`${clientUrl}/pdfs/${pdf._id}`)}">Open the document</a>`
+        : `<a href="${escapeHtml(`${clientUrl}/signup`)}">Create an account</a> with this email address to open it.`;
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${escapeHtml(inviter.name)} shared a document with you</h2>
+        <p><strong>${escapeHtml(pdf.originalname)}</strong> was shared with you with <strong>${escapeHtml(permission)}</strong> access.</p>
+        <p>${action}</p>
+      </div>
+    `;
+};
+
+// Account id of the person a share was made for, if they have signed up
+const collaboratorId = async (share) => {
+    if (share.user) {
+        return share.user;
+    }
+    const user = await User.findOne({ email: share.email }).select('_id');
+    return user ? user._id : null;
+};
+
+const shareController = {
+    // Share a PDF with someone by email (owner or "manage" collaborators)
+    sharePDF: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { permission = 'view' } = req.body;
+            const email = String(req.body.email || '').trim().toLowerCase();
+
+            if (!isValidEmail(email)) {
+                return res.status(400).json({ error: 'Valid email is required' });
+            }
+            if (!PERMISSIONS.includes(permission)) {
+                return res.status(400).json({ error: `Permission must be one of: ${PERMISSIONS.join(', ')}` });
+            }
+
+            const access = await findAccessiblePDF(id, req.user, 'manage');
+            if (!access) {
+                return res.status(404).json({ error: 'PDF not found or not authorized' });
+            }
+            const { pdf } = access;
+
+            const invitee = await User.findOne({ email });
+            if (invitee && invitee._id.equals(pdf.user)) {
+                return res.status(400).json({ error: 'The owner already has full access' });
+            }
+
+            const share = await PDFShare.findOneAndUpdate(
+                { pdf: pdf._id, email },
+                {
+                    $set: { permission, user: invitee ? invitee._id : null },
+                    $setOnInsert: { owner: pdf.user, invitedBy: req.user._id }
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+
+            // The share stands even if the email cannot be delivered
+            let emailSent = true;
+            try {
+                await mailSender(
+                    email,
+                    `${req.user.name} shared "${pdf.originalname}" with you`,
+                    shareEmailTemplate(req.user, pdf, permission, Boolean(invitee))
+                );
+            } catch (error) {
+                emailSent = false;
+                console.error('Share invitation email error:', error.message);
+            }
+
+            res.status(201).json({
+                message: 'PDF shared successfully',
+                share,
+                emailSent
+            });
+        } catch (error) {
+            console.error('Error sharing PDF:', error.message);
+            res.status(500).json({ error: 'Error sharing PDF: ' + error.message });
+        }
+    },
+
+    // List who a PDF is shared with
+    getShares: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const access = await findAccessiblePDF(id, req.user, 'manage');
+            if (!access) {
+                return res.status(404).json({ error: 'PDF not found or not authorized' });
+            }
+
+            const shares = await PDFShare.find({ pdf: access.pdf._id })
+                .populate('user', 'name email')
+                .populate('invitedBy', 'name email')
+                .sort({ createdAt: 1 });
+
+            res.json({
+                count: shares.length,
+                shares
+            });
+        } catch (error) {
+            console.error('Error fetching shares:', error.message);
+            res.status(500).json({ error: 'Error fetching shares: ' + error.message });
+        }
+    },
+
+    // Change a collaborator's permission
+    updateShare: async (req, res) => {
+        try {
+            const { id, shareId } = req.params;
+            const { permission } = req.body;
+
+            if (!PERMISSIONS.includes(permission)) {
+                return res.status(400).json({ error: `Permission must be one of: ${PERMISSIONS.join(', ')}` });
+            }
+            if (!mongoose.isValidObjectId(shareId)) {
+                return res.status(400).json({ error: 'Invalid share ID' });
+            }
+
+            const access = await findAccessiblePDF(id, req.user, 'manage');
+            if (!access) {
+                return res.status(404).json({ error: 'PDF not found or not authorized' });
+            }
+
+            const share = await PDFShare.findOneAndUpdate(
+                { _id: shareId, pdf: access.pdf._id },
+                { permission },
+                { new: true }
+            );
+            if (!share) {
+                return res.status(404).json({ error: 'Share not found' });
+            }
+
+            // Collaborators who can no longer query lose the PDF from their conversations
+            const collaborator = permission === 'view' ? await collaboratorId(share) : null;
+            if (collaborator) {
+                await detachPdfFromSessions(access.pdf._id, { user: collaborator });
+            }
+
+            res.json({
+                message: 'Share updated successfully',
+                share
+            });
+        } catch (error) {
+            console.error('Error updating share:', error.message);
+            res.status(500).json({ error: 'Error updating share: ' + error.message });
+        }
+    },
+
+    // Revoke a share. Managers can revoke anyone; collaborators can remove themselves.
+    deleteShare: async (req, res) => {
+        try {
+            const { id, shareId } = req.params;
+            if (!mongoose.isValidObjectId(shareId)) {
+                return res.status(400).json({ error: 'Invalid share ID' });
+            }
+
+            const access = await findAccessiblePDF(id, req.user, 'view');
+            if (!access) {
+                return res.status(404).json({ error: 'PDF not found or not authorized' });
+            }
+
+            const share = await PDFShare.findOne({ _id: shareId, pdf: access.pdf._id });
+            if (!share) {
+                return res.status(404).json({ error: 'Share not found' });
+            }
+
+            const isSelf = (share.user && share.user.equals(req.user._id)) || share.email === req.user.email;
+            if (!isSelf && !['owner', 'manage'].includes(access.access)) {
+                return res.status(403).json({ error: 'Forbidden, insufficient permissions' });
+            }
+
+            await PDFShare.deleteOne({ _id: share._id });
+
+            const collaborator = await collaboratorId(share);
+            if (collaborator) {
+                await detachPdfFromSessions(access.pdf._id, { user: collaborator });
+            }
+
+            res.json({ message: 'Share removed successfully' });
+        } catch (error) {
+            console.error('Error removing share:', error.message);
+            res.status(500).json({ error: 'Error removing share: ' + error.message });
+        }
+    }
+};
+
+module.exports = shareController;
@@ -7,6 +7,9 @@ const otpGenerator = require("otp-generator");
 const mailSender = require("../utils/mailSender.js");
 require("dotenv").config();
 
+// Wrong guesses allowed against a single OTP before it is discarded
+const MAX_OTP_ATTEMPTS = 5;
+
 // Helper function to validate email format
 const isValidEmail = (email) => {
   const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -56,7 +59,21 @@ exports.signup = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(1);
 
-    if (!recentOTP || recentOTP.otp !== otp) {
+    if (!recentOTP) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired OTP",
+      });
+    }
+
+    if (recentOTP.otp !== otp) {
+      // Burn the OTP after too many wrong guesses so it cannot be brute-forced
+      recentOTP.attempts += 1;
+      if (recentOTP.attempts >= MAX_OTP_ATTEMPTS) {
+        await OTP.deleteOne({ _id: recentOTP._id });
+      } else {
+        await recentOTP.save();
+      }
       return res.status(400).json({
         success: false,
         message: "Invalid or expired OTP",
@@ -72,6 +89,8 @@ exports.signup = async (req, res) => {
       password: hashedPassword,
     });
     
+    await OTP.deleteMany({ email });
+
     // Clean sensitive data before response
     newUser.password = undefined;
 
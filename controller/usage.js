@@ -0,0 +1,59 @@
+// controller/usage.js
+const { getLimits, getUsage } = require("../utils/quotas");
+const { parseUsageRange, getUsageReport } = require("../utils/usageMeter");
+const parseDate = require("../utils/parseDate");
+
+// STORAGE USAGE CONTROLLER
+// Current consumption against the user's upload quota
+exports.getUsage = async (req, res) => {
+  try {
+    const limits = getLimits(req.user);
+    const usage = await getUsage(req.user);
+
+    return res.status(200).json({
+      success: true,
+      plan: req.user.plan,
+      usage,
+      limits,
+      remaining: {
+        storageBytes: Math.max(limits.maxStorageBytes - usage.storageBytes, 0),
+        documents: Math.max(limits.maxDocuments - usage.documentCount, 0),
+      },
+      message: "Usage fetched successfully",
+    });
+  } catch (error) {
+    console.error("Usage Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch usage",
+    });
+  }
+};
+
+// DAILY AI USAGE CONTROLLER
+// Questions, uploads and AI answer times per day (?from&to, the last 30 days by default)
+exports.getDailyUsage = async (req, res) => {
+  try {
+    const range = parseUsageRange(parseDate(req.query.from), parseDate(req.query.to));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const report = await getUsageReport({ user: req.user._id }, range);
+
+    return res.status(200).json({
+      success: true,
+      ...report,
+      message: "Daily usage fetched successfully",
+    });
+  } catch (error) {
+    console.error("Daily Usage Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch daily usage",
+    });
+  }
+};
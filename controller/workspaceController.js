@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const PDF = require('../models/PDF');
+const QueryHistory = require('../models/QueryHistory');
+const ChatSession = require('../models/ChatSession');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvite = require('../models/WorkspaceInvite');
+const mailSender = require('../utils/mailSender');
+const escapeHtml = require('../utils/escapeHtml');
+const { hashToken } = require('../utils/tokens');
+const { ADMIN_ROLES, getPersonalWorkspace } = require('../utils/workspaces');
+const { detachPdfFromSessions } = require('../utils/aiClient');
+const { deletePdfs } = require('../utils/pdfCleanup');
+
+const INVITE_ROLES = WorkspaceInvite.schema.path('role').enumValues;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Helper function to validate email format
+const isValidEmail = (email) => {
+    const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return regex.test(email);
+};
+
+// Helper function to build the invitation email body
+// Names are chosen by the inviter, so every value is escaped
+const inviteEmailTemplate = (inviter, workspace, role, token) => {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${escapeHtml(inviter.name)} invited you to a workspace</h2>
+        <p>You were invited to join <strong>${escapeHtml(workspace.name)}</strong> as <strong>${escapeHtml(role)}</strong>.</p>
+        <p><a href="${escapeHtml(`${clientUrl}/workspaces/invite?token=${token}`)}">Accept the invitation</a></p>
+        <p>This invitation expires in 7 days.</p>
+      </div>
+    `;
+};
+
+// Load a workspace the user belongs to, or send the error response and return null
+const loadWorkspace = async (req, res, roles) => {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+        res.status(400).json({ error: 'Invalid workspace ID' });
+        return null;
+    }
+
+    const workspace = await Workspace.findOne({ _id: id, 'members.user': req.user._id });
+    if (!workspace) {
+        res.status(404).json({ error: 'Workspace not found or not authorized' });
+        return null;
+    }
+    if (roles && !roles.includes(workspace.roleOf(req.user._id))) {
+        res.status(403).json({ error: 'Forbidden, insufficient workspace permissions' });
+        return null;
+    }
+    return workspace;
+};
+
+const workspaceController = {
+    // List the workspaces the user belongs to, personal workspace first
+    getWorkspaces: async (req, res) => {
+        try {
+            await getPersonalWorkspace(req.user);
+
+            const workspaces = await Workspace.find({ 'members.user': req.user._id })
+                .sort({ isPersonal: -1, createdAt: 1 });
+
+            res.json({
+                count: workspaces.length,
+                workspaces: workspaces.map(workspace => ({
+                    _id: workspace._id,
+                    name: workspace.name,
+                    isPersonal: workspace.isPersonal,
+                    role: workspace.roleOf(req.user._id),
+                    memberCount: workspace.members.length,
+                    createdAt: workspace.createdAt
+                }))
+            });
+        } catch (error) {
+            console.error('Error fetching workspaces:', error.message);
+            res.status(500).json({ error: 'Error fetching workspaces: ' + error.message });
+        }
+    },
+
+    // Create a team workspace owned by the current user
+    createWorkspace: async (req, res) => {
+        try {
+            const name = String(req.body.name || '').trim();
+            if (!name) {
+                return res.status(400).json({ error: 'Workspace name is required' });
+            }
+
+            const workspace = await Workspace.create({
+                name,
+                owner: req.user._id,
+                members: [{ user: req.user._id, role: 'owner' }]
+            });
+
+            res.status(201).json({
+                message: 'Workspace created successfully',
+                workspace
+            });
+        } catch (error) {
+            console.error('Error creating workspace:', error.message);
+            res.status(500).json({ error: 'Error creating workspace: ' + error.message });
+        }
+    },
+
+    // Get a workspace with its members
+    getWorkspaceById: async (req, res) => {
+        try {
+            const workspace = await loadWorkspace(req, res);
+            if (!workspace) {
+                return;
+            }
+            await workspace.populate('members.user', 'name email');
+
+            res.json({
+                workspace,
+                role: workspace.roleOf(req.user._id)
+            });
+        } catch (error) {
+            console.error('Error fetching workspace:', error.message);
+            res.status(500).json({ error: 'Error fetching workspace: ' + error.message });
+        }
+    },
+
+    // Rename a workspace (owner/admin)
+    updateWorkspace: async (req, res) => {
+        try {
+            const name = String(req.body.name || '').trim();
+            if (!name) {
+                return res.status(400).json({ error: 'Workspace name is required' });
+            }
+
+            const workspace = await loadWorkspace(req, res, ADMIN_ROLES);
+            if (!workspace) {
+                return;
+            }
+
+            workspace.name = name;
+            await workspace.save();
+
+            res.json({
+                message: 'Workspace updated successfully',
+                workspace
+            });
+        } catch (error) {
+            console.error('Error updating workspace:', error.message);
+            res.status(500).json({ error: 'Error updating workspace: ' + error.message });
+        }
+    },
+
+    // Delete a team workspace with all of its documents, history and invitations (owner only)
+    deleteWorkspace: async (req, res) => {
+        try {
+            const workspace = await loadWorkspace(req, res, ['owner']);
+            if (!workspace) {
+                return;
+            }
+            if (workspace.isPersonal) {
+                return res.status(400).json({ error: 'Personal workspaces cannot be deleted' });
+            }
+
+            const pdfs = await PDF.find({ workspace: workspace._id })
+                .select('user size sha256 filename storageDriver storageKey');
+            await deletePdfs(pdfs);
+
+            await QueryHistory.deleteMany({ workspace: workspace._id });
+            await ChatSession.deleteMany({ workspace: workspace._id });
+            await WorkspaceInvite.deleteMany({ workspace: workspace._id });
+            await Workspace.deleteOne({ _id: workspace._id });
+
+            res.json({ message: 'Workspace deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting workspace:', error.message);
+            res.status(500).json({ error: 'Error deleting workspace: ' + error.message });
+        }
+    },
+
+    // Invite someone to a workspace by email (owner/admin)
+    inviteMember: async (req, res) => {
+        try {
+            const { role = 'member' } = req.body;
+            const email = String(req.body.email || '').trim().toLowerCase();
+
+            if (!isValidEmail(email)) {
+                return res.status(400).json({ error: 'Valid email is required' });
+            }
+            if (!INVITE_ROLES.includes(role)) {
+                return res.status(400).json({ error: `Role must be one of: ${INVITE_ROLES.join(', ')}` });
+            }
+
+            const workspace = await loadWorkspace(req, res, ADMIN_ROLES);
+            if (!workspace) {
+                return;
+            }
+            if (workspace.isPersonal) {
+                return res.status(400).json({ error: 'Personal workspaces cannot have other members' });
+            }
+
+            const invitee = await User.findOne({ email }).select('_id');
+            if (invitee && workspace.roleOf(invitee._id)) {
+                return res.status(409).json({ error: 'User is already a member of this workspace' });
+            }
+
+            // Re-inviting replaces the earlier token
+            const token = crypto.randomBytes(32).toString('hex');
+            const invite = await WorkspaceInvite.findOneAndUpdate(
+                { workspace: workspace._id, email },
+                {
+                    role,
+                    tokenHash: hashToken(token),
+                    invitedBy: req.user._id,
+                    createdAt: new Date(),
+                    expiresAt: new Date(Date.now() + INVITE_TTL_MS)
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+
+            // The invitation stands even if the email cannot be delivered
+            let emailSent = true;
+            try {
+                await mailSender(
+                    email,
+                    `${req.user.name} invited you to "${workspace.name}"`,
+                    inviteEmailTemplate(req.user, workspace, role, token)
+                );
+            } catch (error) {
+                emailSent = false;
+                console.error('Workspace invitation email error:', error.message);
+            }
+
+            res.status(201).json({
+                message: 'Invitation sent successfully',
+                invite,
+                emailSent
+            });
+        } catch (error) {
+            console.error('Error inviting member:', error.message);
+            res.status(500).json({ error: 'Error inviting member: ' + error.message });
+        }
+    },
+
+    // List pending invitations (owner/admin)
+    getInvites: async (req, res) => {
+        try {
+            const workspace = await loadWorkspace(req, res, ADMIN_ROLES);
+            if (!workspace) {
+                return;
+            }
+
+            const invites = await WorkspaceInvite.find({ workspace: workspace._id })
+                .populate('invitedBy', 'name email')
+                .sort({ createdAt: -1 });
+
+            res.json({
+                count: invites.length,
+                invites
+            });
+        } catch (error) {
+            console.error('Error fetching invitations:', error.message);
+            res.status(500).json({ error: 'Error fetching invitations: ' + error.message });
+        }
+    },
+
+    // Cancel a pending invitation (owner/admin)
+    deleteInvite: async (req, res) => {
+        try {
+            const { inviteId } = req.params;
+            if (!mongoose.isValidObjectId(inviteId)) {
+                return res.status(400).json({ error: 'Invalid invitation ID' });
+            }
+
+            const workspace = await loadWorkspace(req, res, ADMIN_ROLES);
+            if (!workspace) {
+                return;
+            }
+
+            const result = await WorkspaceInvite.deleteOne({ _id: inviteId, workspace: workspace._id });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({ error: 'Invitation not found' });
+            }
+
+            res.json({ message: 'Invitation cancelled successfully' });
+        } catch (error) {
+            console.error('Error cancelling invitation:', error.message);
+            res.status(500).json({ error: 'Error cancelling invitation: ' + error.message });
+        }
+    },
+
+    // Accept an invitation with the emailed token. The invitation must be for the user's own email.
+    acceptInvite: async (req, res) => {
+        try {
+            const { token } = req.body;
+            if (!token || typeof token !== 'string') {
+                return res.status(400).json({ error: 'Invitation token is required' });
+            }
+
+            const invite = await WorkspaceInvite.findOne({
+                tokenHash: hashToken(token),
+                expiresAt: { $gt: new Date() }
+            });
+            if (!invite || invite.email !== req.user.email.toLowerCase()) {
+                return res.status(404).json({ error: 'Invitation not found or expired' });
+            }
+
+            // Only add the user if they are not a member already
+            const workspace = await Workspace.findOneAndUpdate(
+                { _id: invite.workspace, 'members.user': { $ne: req.user._id } },
+                { $push: { members: { user: req.user._id, role: invite.role } } },
+                { new: true }
+            ) || await Workspace.findById(invite.workspace);
+            await WorkspaceInvite.deleteOne({ _id: invite._id });
+
+            if (!workspace) {
+                return res.status(404).json({ error: 'Workspace no longer exists' });
+            }
+
+            res.json({
+                message: 'Joined workspace successfully',
+                workspace: {
+                    _id: workspace._id,
+                    name: workspace.name,
+                    role: workspace.roleOf(req.user._id)
+                }
+            });
+        } catch (error) {
+            console.error('Error accepting invitation:', error.message);
+            res.status(500).json({ error: 'Error accepting invitation: ' + error.message });
+        }
+    },
+
+    // Change a member's role (owner/admin). The owner's role cannot be changed.
+    updateMember: async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { role } = req.body;
+
+            if (!INVITE_ROLES.includes(role)) {
+                return res.status(400).json({ error: `Role must be one of: ${INVITE_ROLES.join(', ')}` });
+            }
+            if (!mongoose.isValidObjectId(userId)) {
+                return res.status(400).json({ error: 'Invalid user ID' });
+            }
+
+            const workspace = await loadWorkspace(req, res, ADMIN_ROLES);
+            if (!workspace) {
+                return;
+            }
+
+            const member = workspace.members.find(m => m.user.equals(userId));
+            if (!member) {
+                return res.status(404).json({ error: 'Member not found' });
+            }
+            if (member.role === 'owner') {
+                return res.status(400).json({ error: "The owner's role cannot be changed" });
+            }
+
+            member.role = role;
+            await workspace.save();
+
+            res.json({
+                message: 'Member updated successfully',
+                member
+            });
+        } catch (error) {
+            console.error('Error updating member:', error.message);
+            res.status(500).json({ error: 'Error updating member: ' + error.message });
+        }
+    },
+
+    // Remove a member (owner/admin), or leave the workspace yourself
+    removeMember: async (req, res) => {
+        try {
+            const { userId } = req.params;
+            if (!mongoose.isValidObjectId(userId)) {
+                return res.status(400).json({ error: 'Invalid user ID' });
+            }
+
+            const workspace = await loadWorkspace(req, res);
+            if (!workspace) {
+                return;
+            }
+
+            const isSelf = req.user._id.equals(userId);
+            if (!isSelf && !ADMIN_ROLES.includes(workspace.roleOf(req.user._id))) {
+                return res.status(403).json({ error: 'Forbidden, insufficient workspace permissions' });
+            }
+
+            const role = workspace.roleOf(userId);
+            if (!role) {
+                return res.status(404).json({ error: 'Member not found' });
+            }
+            if (role === 'owner') {
+                return res.status(400).json({ error: 'The owner cannot leave or be removed from the workspace' });
+            }
+
+            await Workspace.updateOne({ _id: workspace._id }, { $pull: { members: { user: userId } } });
+
+            // Former members lose the workspace's documents (other than their own uploads) from their conversations
+            const pdfIds = await PDF.find({ workspace: workspace._id, user: { $ne: userId } }).distinct('_id');
+            if (pdfIds.length > 0) {
+                await detachPdfFromSessions(pdfIds, { user: userId });
+            }
+
+            res.json({ message: isSelf ? 'Left workspace successfully' : 'Member removed successfully' });
+        } catch (error) {
+            console.error('Error removing member:', error.message);
+            res.status(500).json({ error: 'Error removing member: ' + error.message });
+        }
+    }
+};
+
+module.exports = workspaceController;
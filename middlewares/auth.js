@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user");
+const { isSessionActive } = require("../utils/tokens");
 require("dotenv").config();
 
 // Auth middleware to protect routes
@@ -21,6 +22,14 @@ exports.auth = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Reject tokens whose session was logged out or revoked
+      if (!(await isSessionActive(decoded))) {
+        return res.status(401).json({
+          success: false,
+          message: "Session expired or revoked. Please login.",
+        });
+      }
       
       // Find user by ID
       const user = await User.findById(decoded.id).select("-password");
@@ -32,8 +41,16 @@ exports.auth = async (req, res, next) => {
         });
       }
       
+      if (user.isDisabled) {
+        return res.status(403).json({
+          success: false,
+          message: "Account disabled. Please contact support.",
+        });
+      }
+      
       // Set user in request object
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({
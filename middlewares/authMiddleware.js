@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const { isSessionActive } = require('../utils/tokens');
 
 // Middleware to protect routes and set user in request
 const authMiddleware = async (req, res, next) => {
@@ -22,14 +23,24 @@ const authMiddleware = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Reject tokens whose session was logged out or revoked
+        if (!(await isSessionActive(decoded))) {
+            return res.status(401).json({ error: 'Session expired or revoked' });
+        }
+
         // Get user from token
         const user = await User.findById(decoded.id).select('-password');
         if (!user) {
             return res.status(401).json({ error: 'User not found' });
         }
 
+        if (user.isDisabled) {
+            return res.status(403).json({ error: 'Account disabled' });
+        }
+
         // Set user in request
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
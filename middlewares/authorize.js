@@ -0,0 +1,15 @@
+// Middleware to restrict a route to certain roles.
+// Must run after authMiddleware (or auth), which sets req.user.
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Not authorized, no token' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Forbidden, insufficient permissions' });
+    }
+
+    next();
+};
+
+module.exports = authorize;
@@ -0,0 +1,44 @@
+const { getLimits, getUsage, formatBytes } = require('../utils/quotas');
+
+// Room for multipart boundaries and form fields around the files in a request body
+const MULTIPART_OVERHEAD = 64 * 1024;
+
+// Middleware to refuse uploads that cannot fit the user's quota before multer
+// writes anything to disk. Sets req.uploadLimits.fileSize, the most multer may
+// accept per file. Exact per-file checks happen when each file is stored.
+// `newDocuments`: the upload creates documents (not a new version of one)
+// `archives`: the upload may contain ZIP archives, which can be larger than one document
+// Must run after authMiddleware.
+const checkUploadQuota = ({ newDocuments = true, archives = false } = {}) => async (req, res, next) => {
+    try {
+        const limits = getLimits(req.user);
+        const usage = await getUsage(req.user);
+        const remaining = limits.maxStorageBytes - usage.storageBytes;
+
+        if (newDocuments && usage.documentCount >= limits.maxDocuments) {
+            return res.status(403).json({ error: `Document limit reached (${limits.maxDocuments} documents)` });
+        }
+        if (remaining <= 0) {
+            return res.status(413).json({ error: `Storage quota exceeded: ${formatBytes(limits.maxStorageBytes)} used` });
+        }
+
+        // The declared body size is checked up front, so oversized uploads are not even received
+        const contentLength = parseInt(req.get('Content-Length'));
+        if (contentLength > remaining + MULTIPART_OVERHEAD) {
+            return res.status(413).json({
+                error: `Upload is larger than your remaining storage (${formatBytes(remaining)} of ${formatBytes(limits.maxStorageBytes)})`
+            });
+        }
+
+        // The documents inside ZIP archives are checked one by one as they are stored
+        req.uploadLimits = {
+            fileSize: archives ? remaining : Math.min(limits.maxFileSize, remaining)
+        };
+        next();
+    } catch (error) {
+        console.error('Quota middleware error:', error);
+        return res.status(500).json({ error: 'Error checking storage quota' });
+    }
+};
+
+module.exports = { checkUploadQuota };
@@ -0,0 +1,78 @@
+const AttemptCounter = require('../models/attemptCounter');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Requests allowed per window for each rate-limited action, per user and per client IP
+const RATE_LIMITS = {
+    query: {
+        label: 'questions',
+        windowMs: MINUTE,
+        perUser: parseInt(process.env.QUERY_RATE_LIMIT_USER) || 20,
+        perIp: parseInt(process.env.QUERY_RATE_LIMIT_IP) || 60
+    },
+    upload: {
+        label: 'uploads',
+        windowMs: HOUR,
+        perUser: parseInt(process.env.UPLOAD_RATE_LIMIT_USER) || 50,
+        perIp: parseInt(process.env.UPLOAD_RATE_LIMIT_IP) || 200
+    },
+    // Each invitation sends an email to an address the user picks
+    invite: {
+        label: 'invitations',
+        windowMs: HOUR,
+        perUser: parseInt(process.env.INVITE_RATE_LIMIT_USER) || 30,
+        perIp: parseInt(process.env.INVITE_RATE_LIMIT_IP) || 100
+    }
+};
+
+// Count one request in a fixed window and return the number of requests in it so far
+// Each window has its own counter, removed by the TTL index once the window is over
+const countRequest = async (key, windowEnd) => {
+    const increment = () => AttemptCounter.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: windowEnd } },
+        { upsert: true, new: true }
+    );
+    try {
+        return (await increment()).count;
+    } catch (error) {
+        // Parallel first requests of a window can race to create the counter
+        if (error.code !== 11000) {
+            throw error;
+        }
+        return (await increment()).count;
+    }
+};
+
+// Middleware limiting how often a user, and anyone on the same IP address, may
+// perform an action. Counters live in Mongo, so limits hold across server processes.
+// Must run after authMiddleware.
+const rateLimit = (action) => async (req, res, next) => {
+    try {
+        const { label, windowMs, perUser, perIp } = RATE_LIMITS[action];
+        const now = Date.now();
+        const windowStart = now - (now % windowMs);
+        const windowEnd = new Date(windowStart + windowMs);
+
+        const [userCount, ipCount] = await Promise.all([
+            countRequest(`rate:${action}:user:${req.user._id}:${windowStart}`, windowEnd),
+            countRequest(`rate:${action}:ip:${req.ip}:${windowStart}`, windowEnd)
+        ]);
+
+        if (userCount > perUser || ipCount > perIp) {
+            const seconds = Math.ceil((windowEnd.getTime() - now) / 1000);
+            res.set('Retry-After', String(seconds));
+            return res.status(429).json({
+                error: `Too many ${label}. Please try again in ${seconds} seconds.`,
+                retryAfter: seconds
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Rate limit middleware error:', error);
+        return res.status(500).json({ error: 'Error checking rate limit' });
+    }
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const { getPersonalWorkspace } = require('../utils/workspaces');
+
+// Middleware to pick the active workspace for this request.
+// Clients switch workspaces with the X-Workspace-Id header (or ?workspaceId= for
+// EventSource and links); without one the user's personal workspace is used.
+// Must run after authMiddleware.
+const resolveWorkspace = async (req, res, next) => {
+    try {
+        const requested = req.get('X-Workspace-Id') || req.query.workspaceId;
+
+        let workspace;
+        if (requested) {
+            if (!mongoose.isValidObjectId(requested)) {
+                return res.status(400).json({ error: 'Invalid workspace ID' });
+            }
+            workspace = await Workspace.findOne({ _id: requested, 'members.user': req.user._id });
+            if (!workspace) {
+                return res.status(403).json({ error: 'Not a member of this workspace' });
+            }
+        } else {
+            workspace = await getPersonalWorkspace(req.user);
+        }
+
+        req.workspace = workspace;
+        req.workspaceRole = workspace.roleOf(req.user._id);
+        next();
+    } catch (error) {
+        console.error('Workspace middleware error:', error);
+        return res.status(500).json({ error: 'Error resolving workspace' });
+    }
+};
+
+// Middleware to restrict a route to certain roles in the active workspace.
+// Must run after resolveWorkspace.
+const requireWorkspaceRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.workspaceRole)) {
+        return res.status(403).json({ error: 'Forbidden, insufficient workspace permissions' });
+    }
+    next();
+};
+
+module.exports = {
+    resolveWorkspace,
+    requireWorkspaceRole
+};
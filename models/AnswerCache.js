@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// An AI answer to a question about one document, reused when the same question is
+// asked about the same content again (see utils/answerCache.js)
+const answerCacheSchema = new mongoose.Schema({
+    // Hash of the document's SHA-256, the workspace and the normalized question
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // SHA-256 of the document the answer is about
+    sha256: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Answers are reused only within the workspace they were asked in
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    question: {
+        type: String,
+        required: true
+    },
+    answer: {
+        type: String,
+        required: true
+    },
+    // Passages the answer was based on; they all come from the document itself
+    sources: [{
+        _id: false,
+        page: Number,
+        text: String,
+        score: Number
+    }],
+    hits: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0 // Auto-delete once the answer is too old to reuse
+    }
+});
+
+module.exports = mongoose.model('AnswerCache', answerCacheSchema);
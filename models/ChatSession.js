@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A conversation over one or more PDFs. Each chat session maps to its own
+// session on the AI server, identified by the cookie the AI server hands out.
+const chatSessionSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        trim: true,
+        default: 'New chat'
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        index: true
+    },
+    pdfs: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PDF'
+    }],
+    // PDFs already uploaded into the AI server session behind aiCookie
+    indexedPdfs: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PDF'
+    }],
+    aiCookie: {
+        type: String,
+        default: null,
+        select: false
+    },
+    // URL of the AI backend that issued aiCookie; the session sticks to it while it is up
+    aiBackend: {
+        type: String,
+        default: null,
+        select: false
+    },
+    // First question of the chat when it was answered from the answer cache; the AI
+    // server is asked it before the next question so follow-ups keep their context
+    cachedQuestion: {
+        type: String,
+        default: null
+    },
+    lastMessageAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('ChatSession', chatSessionSchema);
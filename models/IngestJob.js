@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One pending upload of a PDF into a chat session's AI server session.
+// Jobs are claimed atomically, so any number of server processes can work the queue.
+const ingestJobSchema = new mongoose.Schema({
+    pdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PDF',
+        required: true,
+        index: true
+    },
+    chatSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatSession',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'done', 'failed'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    nextRunAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ingestJobSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('IngestJob', ingestJobSchema);
@@ -9,19 +9,70 @@ const pdfSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Local disk path; only set for files stored by the local driver
     path: {
+        type: String
+    },
+    // Storage backend holding the file and its key there (see utils/storage)
+    storageDriver: {
         type: String,
-        required: true
+        enum: ['local', 's3', 'cloudinary'],
+        default: 'local'
+    },
+    storageKey: {
+        type: String
+    },
+    size: {
+        type: Number
+    },
+    // Current revision; older ones are kept in models/PDFVersion.js
+    version: {
+        type: Number,
+        default: 1
+    },
+    // SHA-256 of the file; uploads with the same content share one stored copy
+    sha256: {
+        type: String,
+        index: true
+    },
+    // Format the file was uploaded in; other formats are stored converted to PDF
+    sourceFormat: {
+        type: String,
+        enum: ['pdf', 'docx', 'txt', 'md', 'html'],
+        default: 'pdf'
+    },
+    // Set when the text was extracted for full-text search (see models/PDFPage.js)
+    pageCount: {
+        type: Number,
+        default: null
     },
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace'
+    },
+    // Ingestion state on the AI server (see utils/ingestQueue.js)
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'ready', 'failed'],
+        default: 'ready'
+    },
+    error: {
+        type: String,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// Workspace document lists, paginated by date or by name (see utils/pagination.js)
+pdfSchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+pdfSchema.index({ workspace: 1, originalname: 1, _id: 1 });
+
 module.exports = mongoose.model('PDF', pdfSchema); 
\ No newline at end of file
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Text of one page of an uploaded PDF, extracted at upload time for full-text search
+const pdfPageSchema = new mongoose.Schema({
+    pdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PDF',
+        required: true,
+        index: true
+    },
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace'
+    },
+    page: {
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        default: ''
+    }
+});
+
+// Searches are always limited to one workspace
+pdfPageSchema.index({ workspace: 1, text: 'text' }, { default_language: 'english' });
+
+module.exports = mongoose.model('PDFPage', pdfPageSchema);
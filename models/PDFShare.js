@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Grants another user access to a PDF. Invites are keyed by email so people
+// who have not signed up yet get access as soon as they register.
+const pdfShareSchema = new mongoose.Schema({
+    pdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PDF',
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    // Set when the invitee already had an account at invite time
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // view: see and download; query: also ask questions; manage: also share with others
+    permission: {
+        type: String,
+        enum: ['view', 'query', 'manage'],
+        default: 'view'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+pdfShareSchema.index({ pdf: 1, email: 1 }, { unique: true });
+pdfShareSchema.index({ email: 1 });
+pdfShareSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PDFShare', pdfShareSchema);
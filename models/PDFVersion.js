@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A stored revision of a PDF. The PDF document always mirrors its current
+// version's file fields; older revisions stay here so they can be browsed and restored.
+const pdfVersionSchema = new mongoose.Schema({
+    pdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PDF',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    filename: {
+        type: String,
+        required: true
+    },
+    originalname: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String
+    },
+    storageDriver: {
+        type: String,
+        enum: ['local', 's3', 'cloudinary'],
+        default: 'local'
+    },
+    storageKey: {
+        type: String
+    },
+    size: {
+        type: Number
+    },
+    sha256: {
+        type: String
+    },
+    // Format the file was uploaded in; other formats are stored converted to PDF
+    sourceFormat: {
+        type: String,
+        enum: ['pdf', 'docx', 'txt', 'md', 'html'],
+        default: 'pdf'
+    },
+    pageCount: {
+        type: Number,
+        default: null
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+pdfVersionSchema.index({ pdf: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('PDFVersion', pdfVersionSchema);
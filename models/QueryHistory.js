@@ -19,10 +19,72 @@ const queryHistorySchema = new mongoose.Schema({
         ref: 'PDF',
         required: true 
     },
+    // Version of `pdf` that was current when the question was asked
+    pdfVersion: {
+        type: Number,
+        default: 1
+    },
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        index: true
+    },
+    chatSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatSession',
+        index: true
+    },
+    // Passages the answer was based on, best match first
+    sources: [{
+        _id: false,
+        pdf: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PDF'
+        },
+        page: Number,
+        text: String,
+        score: Number
+    }],
+    // Answered from the answer cache instead of the AI server (see utils/answerCache.js)
+    cached: {
+        type: Boolean,
+        default: false
+    },
+    // The asker's rating of the answer
+    feedback: {
+        type: new mongoose.Schema({
+            rating: {
+                type: String,
+                enum: ['up', 'down'],
+                required: true
+            },
+            comment: {
+                type: String,
+                trim: true,
+                maxlength: 2000
+            },
+            // What the answer should have said
+            correction: {
+                type: String,
+                trim: true,
+                maxlength: 5000
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }, { _id: false }),
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+queryHistorySchema.index({ 'feedback.createdAt': 1 }, { sparse: true });
+// History lists, paginated by date, optionally for a single PDF (see utils/pagination.js)
+queryHistorySchema.index({ user: 1, workspace: 1, createdAt: -1, _id: -1 });
+queryHistorySchema.index({ user: 1, workspace: 1, pdf: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model('QueryHistory', queryHistorySchema); 
\ No newline at end of file
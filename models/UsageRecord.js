@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// AI usage of one user on one day (UTC), incremented as questions are answered and files uploaded
+const usageRecordSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Start of the UTC day
+    date: {
+        type: Date,
+        required: true
+    },
+    questions: {
+        type: Number,
+        default: 0
+    },
+    uploads: {
+        type: Number,
+        default: 0
+    },
+    // Questions answered from the answer cache (included in questions)
+    cachedAnswers: {
+        type: Number,
+        default: 0
+    },
+    // Questions the AI server failed to answer
+    aiErrors: {
+        type: Number,
+        default: 0
+    },
+    // Total and longest time the AI server took to answer (cached answers excluded), in milliseconds
+    aiLatencyMs: {
+        type: Number,
+        default: 0
+    },
+    maxAiLatencyMs: {
+        type: Number,
+        default: 0
+    }
+});
+
+usageRecordSchema.index({ user: 1, date: 1 }, { unique: true });
+// Admin reports across all users
+usageRecordSchema.index({ date: 1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
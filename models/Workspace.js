@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A document library shared by its members. Every user also gets a personal
+// workspace (created on first use) that holds their own uploads.
+const workspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    isPersonal: {
+        type: Boolean,
+        default: false
+    },
+    // owner/admin: manage members and all documents; member: upload and query; viewer: read and query
+    members: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['owner', 'admin', 'member', 'viewer'],
+            default: 'member'
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+// At most one personal workspace per user
+workspaceSchema.index({ owner: 1 }, { unique: true, partialFilterExpression: { isPersonal: true } });
+
+workspaceSchema.methods.roleOf = function (userId) {
+    const member = this.members.find(m => m.user.equals(userId));
+    return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Pending invitation to join a workspace, accepted with the emailed token
+const workspaceInviteSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+        index: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'member', 'viewer'],
+        default: 'member'
+    },
+    // sha256 of the emailed token
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0 // Auto-delete expired invitations
+    }
+});
+
+workspaceInviteSchema.index({ workspace: 1, email: 1 }, { unique: true });
+
+module.exports = mongoose.model('WorkspaceInvite', workspaceInviteSchema);
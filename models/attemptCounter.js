@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Counts attempts (failed logins, OTP sends, rate-limited requests, ...) for a key such as
+// "login:ip:1.2.3.4" so limits hold across every server process
+const attemptCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0, // Auto-delete once the counting window has passed
+  },
+});
+
+module.exports = mongoose.model("AttemptCounter", attemptCounterSchema);
@@ -14,6 +14,11 @@ const otpSchema = new mongoose.Schema({
     required: [true, "OTP is required"],
     minlength: [6, "OTP must be 6 characters long"],
   },
+  // Wrong guesses made against this OTP during signup
+  attempts: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Short-lived, single-purpose code that lets a registered user set a new password
+const passwordResetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  email: {
+    type: String,
+    required: [true, "Email is required"],
+    lowercase: true,
+  },
+  // bcrypt hash of the emailed code, never the code itself
+  codeHash: {
+    type: String,
+    required: [true, "Reset code is required"],
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 900, // Auto-delete after 15 minutes
+  },
+});
+
+module.exports = mongoose.model("PasswordReset", passwordResetSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// One login on one device. Access tokens carry the session id, so revoking
+// the session invalidates every access token issued for it.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // sha256 of the current refresh token
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // sha256 of the refresh token that was rotated out most recently.
+    // Seeing it again means the token was stolen and replayed.
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0, // Auto-delete once the refresh token has expired
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
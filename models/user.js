@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { PLANS } = require("../config/plans");
 
 // Define Mentee Schema
 const userSchema = new mongoose.Schema(
@@ -19,7 +20,35 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters long"],
-    }
+    },
+    // Admins are promoted by another admin (or directly in the database for the first one)
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
+    isDisabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Upload quota: the plan's limits, unless an admin overrode one for this user
+    plan: {
+      type: String,
+      enum: Object.keys(PLANS),
+      default: "free",
+    },
+    quota: {
+      maxFileSize: { type: Number, default: null },
+      maxStorageBytes: { type: Number, default: null },
+      maxDocuments: { type: Number, default: null },
+    },
+    // Kept up to date on upload and delete (see utils/quotas.js)
+    usage: {
+      storageBytes: { type: Number, default: 0 },
+      documentCount: { type: Number, default: 0 },
+      // Not set for accounts from before usage tracking; their usage is counted on first use
+      calculatedAt: { type: Date, default: null },
+    },
   },
   { timestamps: true }
 );
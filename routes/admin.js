@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controller/adminController');
+const feedbackController = require('../controller/feedbackController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const authorize = require('../middlewares/authorize');
+
+// All routes require an authenticated admin
+router.use(authMiddleware, authorize('admin'));
+
+// List and search users
+router.get('/users', adminController.listUsers);
+
+// Get a single user with usage counts
+router.get('/users/:id', adminController.getUser);
+
+// Disable or enable an account
+router.patch('/users/:id/status', adminController.setUserStatus);
+
+// Change a user's role
+router.patch('/users/:id/role', adminController.setUserRole);
+
+// Change a user's plan or quota limits
+router.patch('/users/:id/quota', adminController.setUserQuota);
+
+// Delete a user and all of their data
+router.delete('/users/:id', adminController.deleteUser);
+
+// Daily AI usage (questions, uploads, answer times) per day and per user
+router.get('/usage', adminController.getUsageReport);
+
+// Answer feedback report (?format=csv to download)
+router.get('/feedback/report', feedbackController.getFeedbackReport);
+
+module.exports = router;
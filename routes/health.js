@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controller/healthController');
+
+// Health checks are public so load balancers and orchestrators can call them
+
+// Liveness (GET /api/health is kept for existing monitors)
+router.get('/', healthController.getLiveness);
+router.get('/live', healthController.getLiveness);
+
+// Readiness: MongoDB and the AI server
+router.get('/ready', healthController.getReadiness);
+
+module.exports = router;
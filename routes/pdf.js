@@ -3,50 +3,157 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const pdfController = require('../controller/pdfController');
+const chatSessionController = require('../controller/chatSessionController');
+const shareController = require('../controller/shareController');
+const feedbackController = require('../controller/feedbackController');
+const searchController = require('../controller/searchController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middlewares/workspace');
+const { checkUploadQuota } = require('../middlewares/quota');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { UPLOAD_ROLES } = require('../utils/workspaces');
+const { UPLOAD_DIR, uploadFileName } = require('../utils/storage');
+const { ALLOWED_EXTENSIONS } = require('../utils/documentConverter');
+const { isZipName } = require('../utils/zipUpload');
+const { formatBytes } = require('../utils/quotas');
+
+// Files (documents or ZIP archives) accepted in one batch upload request
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES) || 20;
 
 
 // Configure multer for file uploads
+// Files land on local disk first; utils/storage then moves them to the configured backend
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
-        cb(null, 'uploads/');
+        cb(null, UPLOAD_DIR);
     },
     filename: function (req, file, cb) {
-        cb(null, Date.now() + path.extname(file.originalname));
+        cb(null, uploadFileName(file.originalname));
     }
 });
 
-const upload = multer({ 
+// Multer settings; instances are built per request (see receiveFiles)
+const uploadOptions = {
     storage: storage,
+    // Only a first check on the file name; the controller verifies the actual content
     fileFilter: function (req, file, cb) {
-        if (file.mimetype !== 'application/pdf') {
-            return cb(new Error('Only PDF files are allowed!'), false);
+        if (!ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            const error = new Error('Only PDF, DOCX, TXT, Markdown and HTML files are allowed!');
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            return cb(error, false);
         }
         cb(null, true);
     }
-});
+};
+
+// Batch uploads skip unsupported files instead of failing the request,
+// so the response can list them as rejected
+const batchUploadOptions = {
+    storage: storage,
+    limits: { files: BATCH_MAX_FILES },
+    fileFilter: function (req, file, cb) {
+        if (!isZipName(file.originalname) && !ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            req.rejectedFiles = req.rejectedFiles || [];
+            req.rejectedFiles.push({ file: file.originalname, reason: 'Only PDF, DOCX, TXT, Markdown, HTML and ZIP files are allowed' });
+            return cb(null, false);
+        }
+        cb(null, true);
+    }
+};
+
+// Receive files with multer, capping each file at what the user's quota allows
+// (req.uploadLimits from checkUploadQuota). Multer stops reading a file at the cap
+// and removes what it wrote; limit errors and refused file types are reported as 4xx responses.
+const receiveFiles = (options, accept) => (req, res, next) => {
+    const upload = multer({ ...options, limits: { ...options.limits, fileSize: req.uploadLimits.fileSize } });
+    accept(upload)(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `File exceeds the ${formatBytes(req.uploadLimits.fileSize)} upload limit` });
+            }
+            const message = err.code === 'LIMIT_FILE_COUNT'
+                ? `At most ${BATCH_MAX_FILES} files can be uploaded at once`
+                : err.message;
+            return res.status(400).json({ error: message });
+        }
+        if (err && err.code === 'UNSUPPORTED_FILE_TYPE') {
+            return res.status(415).json({ error: err.message });
+        }
+        next(err);
+    });
+};
+
+// Signed file links carry their own authorization (HMAC signature + expiry)
+router.get('/files/:id', pdfController.downloadSignedPDF);
 
 // All routes are protected and require authentication
-router.use(authMiddleware);
+// and run in the active workspace (X-Workspace-Id header, personal workspace by default)
+router.use(authMiddleware, resolveWorkspace);
 
 // Upload PDF route (with multer middleware)
-router.post('/upload', upload.single('file'), pdfController.uploadPDF);
+router.post('/upload', requireWorkspaceRole(...UPLOAD_ROLES), rateLimit('upload'), checkUploadQuota(),
+    receiveFiles(uploadOptions, upload => upload.single('file')), pdfController.uploadPDF);
+
+// Upload several files, or ZIP archives of them, in one request
+router.post('/upload/batch', requireWorkspaceRole(...UPLOAD_ROLES), rateLimit('upload'), checkUploadQuota({ archives: true }),
+    receiveFiles(batchUploadOptions, upload => upload.array('files')), pdfController.uploadBatch);
 
 // Query PDF route
-router.post('/query', pdfController.queryPDF);
+router.post('/query', rateLimit('query'), pdfController.queryPDF);
+
+// Streaming query route (Server-Sent Events)
+router.get('/query/stream', rateLimit('query'), pdfController.queryPDFStream);
 
 // Clear vector data route
 router.post('/clear-vector-data', pdfController.clearVectorData);
 
+// Full-text search over PDF contents
+router.get('/search', searchController.searchPDFs);
+
 // Get all PDFs for the logged-in user
 router.get('/pdfs', pdfController.getAllPDFs);
 
 // Get a single PDF by ID
 router.get('/pdfs/:id', pdfController.getPDFById);
 
+// Get the ingestion status of a PDF
+router.get('/pdfs/:id/status', pdfController.getPDFStatus);
+
+// Stream the PDF file (Range requests supported)
+router.get('/pdfs/:id/download', pdfController.downloadPDF);
+
+// Versions: upload a new revision, list them, download one and roll back
+router.put('/pdfs/:id/versions', rateLimit('upload'), checkUploadQuota({ newDocuments: false }),
+    receiveFiles(uploadOptions, upload => upload.single('file')), pdfController.uploadVersion);
+router.get('/pdfs/:id/versions', pdfController.getVersions);
+router.get('/pdfs/:id/versions/:version/download', pdfController.downloadVersion);
+router.post('/pdfs/:id/versions/:version/restore', pdfController.restoreVersion);
+
+// Create a time-limited share link
+router.post('/pdfs/:id/share-url', pdfController.createShareUrl);
+
+// Share a PDF with other users
+router.post('/pdfs/:id/shares', rateLimit('invite'), shareController.sharePDF);
+router.get('/pdfs/:id/shares', shareController.getShares);
+router.patch('/pdfs/:id/shares/:shareId', shareController.updateShare);
+router.delete('/pdfs/:id/shares/:shareId', shareController.deleteShare);
+
 router.delete('/pdfs/:id', pdfController.deletePDF);
 
 // Get query history for the logged-in user
 router.get('/history', pdfController.getQueryHistory);
 
+// Download the query history (?format=csv|json|md, ?pdfId, ?from, ?to)
+router.get('/history/export', pdfController.exportQueryHistory);
+
+// Rate an answer from the query history
+router.post('/history/:id/feedback', feedbackController.submitFeedback);
+
+// Chat sessions (conversations over one or more PDFs)
+router.post('/sessions', chatSessionController.createSession);
+router.get('/sessions', chatSessionController.getSessions);
+router.get('/sessions/:id', chatSessionController.getSessionById);
+router.patch('/sessions/:id', chatSessionController.updateSession);
+router.delete('/sessions/:id', chatSessionController.deleteSession);
+
 module.exports = router; 
\ No newline at end of file
@@ -5,12 +5,22 @@ const router = express.Router();
 const { signup } = require("../controller/signup");
 const { login } = require("../controller/login");
 const { sendOTP } = require("../controller/otp");
+const { forgotPassword, resetPassword } = require("../controller/password");
+const { refresh, logout, logoutAll } = require("../controller/session");
+const { getUsage, getDailyUsage } = require("../controller/usage");
 const { auth } = require("../middlewares/auth");
 
 // Define routes
 router.post("/send-otp", sendOTP);
 router.post("/signup", signup);
 router.post("/login", login);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/refresh", refresh);
+
+// Session management
+router.post("/logout", auth, logout);
+router.post("/logout-all", auth, logoutAll);
 
 // Protected route to get user profile
 router.get("/profile", auth, (req, res) => {
@@ -21,4 +31,10 @@ router.get("/profile", auth, (req, res) => {
   });
 });
 
+// Storage used against the upload quota
+router.get("/usage", auth, getUsage);
+
+// Questions, uploads and AI answer times per day
+router.get("/usage/daily", auth, getDailyUsage);
+
 module.exports = router;
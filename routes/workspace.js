@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const workspaceController = require('../controller/workspaceController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { rateLimit } = require('../middlewares/rateLimit');
+
+// All routes are protected and require authentication
+router.use(authMiddleware);
+
+// List and create workspaces
+router.get('/', workspaceController.getWorkspaces);
+router.post('/', workspaceController.createWorkspace);
+
+// Accept an invitation with the emailed token
+router.post('/invites/accept', workspaceController.acceptInvite);
+
+// Get, rename and delete a workspace
+router.get('/:id', workspaceController.getWorkspaceById);
+router.patch('/:id', workspaceController.updateWorkspace);
+router.delete('/:id', workspaceController.deleteWorkspace);
+
+// Invitations
+router.post('/:id/invites', rateLimit('invite'), workspaceController.inviteMember);
+router.get('/:id/invites', workspaceController.getInvites);
+router.delete('/:id/invites/:inviteId', workspaceController.deleteInvite);
+
+// Members (a member can remove themselves to leave)
+router.patch('/:id/members/:userId', workspaceController.updateMember);
+router.delete('/:id/members/:userId', workspaceController.removeMember);
+
+module.exports = router;
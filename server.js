@@ -7,14 +7,30 @@ const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const path = require("path");
 const connectDB = require("./config/db");
+const { startIngestWorker } = require("./utils/ingestQueue");
 require("dotenv").config();
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy req.ip is the proxy's address unless Express trusts it to
+// forward the client's (X-Forwarded-For); per-IP login lockouts and rate limits need it.
+// TRUST_PROXY: number of proxy hops, "true", or trusted addresses/subnets ("loopback, 10.0.0.0/8")
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    if (/^\d+$/.test(trustProxy)) {
+        app.set("trust proxy", parseInt(trustProxy));
+    } else {
+        app.set("trust proxy", trustProxy === "true" ? true : trustProxy);
+    }
+}
+
 // Connect to MongoDB
 connectDB();
 
+// Process queued PDF uploads in the background
+startIngestWorker();
+
 // Middleware
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
@@ -23,27 +39,19 @@ app.use(cors({
     origin: process.env.CLIENT_URL || "http://localhost:5173",
     credentials: true,
 }));
-app.use('/uploads', express.static('uploads'));
 
 // Routes
 app.use("/api/auth", require("./routes/user"));
 app.use("/api/pdf", require("./routes/pdf"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/api/workspaces", require("./routes/workspace"));
+app.use("/api/health", require("./routes/health"));
 
 // Root route
 app.get("/", (req, res) => {
     res.send("PDF Q&A API is running");
 });
 
-// Health check endpoint
-app.get("/api/health", (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: "Server is healthy",
-        environment: process.env.NODE_ENV || "development",
-        timestamp: new Date().toISOString()
-    });
-});
-
 // Error handler
 app.use((err, req, res, next) => {
     console.error(err.stack);
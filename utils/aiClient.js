@@ -0,0 +1,520 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const PDF = require('../models/PDF');
+const ChatSession = require('../models/ChatSession');
+const mongoose = require('mongoose');
+const { openStream } = require('./storage');
+const { pdfFileName } = require('./documentConverter');
+const { createCircuitBreaker } = require('./circuitBreaker');
+
+// Configure the AI server base URLs
+// AI_SERVER_URLS lists several replicas (comma-separated); AI_SERVER_URL a single server
+// IMPORTANT: Use 127.0.0.1 instead of localhost on macOS to avoid AirPlay Receiver conflict on port 5000
+const AI_SERVER_URLS = (process.env.AI_SERVER_URLS || process.env.AI_SERVER_URL || 'http://127.0.0.1:5000')
+    .split(',')
+    .map(url => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean)
+    .map(url => {
+        // Convert localhost to 127.0.0.1 to avoid macOS AirPlay Receiver issues
+        if (url.includes('localhost:5000')) {
+            console.warn('⚠️  WARNING: localhost:5000 detected. Converting to 127.0.0.1:5000 to avoid macOS AirPlay Receiver conflict.');
+            return url.replace('localhost', '127.0.0.1');
+        }
+        return url;
+    });
+
+console.log('Using AI server URL(s):', AI_SERVER_URLS.join(', '));
+
+// Path probed by the readiness check; any response below 500 means the AI server is up
+const AI_HEALTH_PATH = process.env.AI_HEALTH_PATH || '/';
+const AI_HEALTH_TIMEOUT_MS = 3000;
+
+// Errors that mean a backend is dead: it cannot be reached, hangs (timeouts) or drops
+// the connection, or the load balancer in front of it has no live replica (gateway 5xx)
+const BACKEND_FAILURE_CODES = [
+    'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN',
+    'ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET'
+];
+const BACKEND_FAILURE_STATUSES = [502, 503, 504];
+
+const isBackendFailure = (error) => (error.response
+    ? BACKEND_FAILURE_STATUSES.includes(error.response.status)
+    : BACKEND_FAILURE_CODES.includes(error.code));
+
+// One circuit breaker per backend: calls to a backend that is down fail fast
+// instead of each waiting for the timeout, and chat sessions move off it
+const backends = AI_SERVER_URLS.map(url => ({
+    url,
+    circuit: createCircuitBreaker({
+        name: `AI server ${url}`,
+        failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+        resetTimeoutMs: parseInt(process.env.AI_CIRCUIT_RESET_MS) || 30000
+    })
+}));
+// Round-robin position for assigning new chat sessions
+let nextBackend = 0;
+
+// No response or a 5xx means the AI server is in trouble; 4xx answers are about the request
+const isAiOutage = (error) => !error.response || error.response.status >= 500;
+
+// A backend whose circuit is open and still cooling down
+const isDown = (backend) => {
+    const { state, retryAfterMs } = backend.circuit.getStatus();
+    return state === 'open' && retryAfterMs > 0;
+};
+
+/**
+ * Error for calls refused because no AI backend is available
+ * @returns {Error} - code 'AI_UNAVAILABLE', retryAfter in seconds (until the first backend may be tried again)
+ */
+const aiUnavailableError = () => {
+    const retryAfterMs = Math.min(...backends.map(backend => backend.circuit.getStatus().retryAfterMs));
+    const error = new Error('The AI server is currently unavailable. Please try again shortly.');
+    error.code = 'AI_UNAVAILABLE';
+    error.retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    return error;
+};
+
+const isAiUnavailable = (error) => Boolean(error) && error.code === 'AI_UNAVAILABLE';
+
+// Whether a call to some AI backend would be attempted right now
+const isAiAvailable = () => backends.some(backend => backend.circuit.isAvailable());
+
+// Circuit state of every backend, for the readiness endpoint
+const getAiCircuitStatus = () => backends.map(backend => ({ url: backend.url, ...backend.circuit.getStatus() }));
+
+/**
+ * Check whether the AI backends answer, for the readiness endpoint
+ * The results feed the circuit breakers too, so a successful probe brings a backend back early.
+ * @returns {Promise<Object>} - { status: 'up' | 'degraded' | 'down', backends: [{ url, status, latencyMs, error? }] }
+ */
+const probeAiServer = async () => {
+    const results = await Promise.all(backends.map(async ({ url, circuit }) => {
+        const startedAt = Date.now();
+        try {
+            const response = await axios.get(url + AI_HEALTH_PATH, {
+                timeout: AI_HEALTH_TIMEOUT_MS,
+                validateStatus: () => true
+            });
+            const latencyMs = Date.now() - startedAt;
+            if (response.status >= 500) {
+                circuit.recordFailure();
+                return { url, status: 'down', latencyMs, error: `AI server responded with status ${response.status}` };
+            }
+            circuit.recordSuccess();
+            return { url, status: 'up', latencyMs };
+        } catch (error) {
+            circuit.recordFailure();
+            console.error(`AI server ${url} health probe failed:`, error.message);
+            // Messages can contain internal addresses; the code says enough
+            return { url, status: 'down', latencyMs: Date.now() - startedAt, error: error.code || 'Request failed' };
+        }
+    }));
+
+    const up = results.filter(result => result.status === 'up').length;
+    let status = 'degraded';
+    if (up === results.length) {
+        status = 'up';
+    } else if (up === 0) {
+        status = 'down';
+    }
+    return { status, backends: results };
+};
+
+// Next available backend in round-robin order, skipping `exclude` (URLs); null if none is available
+const pickBackend = (exclude = []) => {
+    for (let i = 0; i < backends.length; i++) {
+        const index = (nextBackend + i) % backends.length;
+        const backend = backends[index];
+        if (!exclude.includes(backend.url) && backend.circuit.isAvailable()) {
+            nextBackend = (index + 1) % backends.length;
+            return backend;
+        }
+    }
+    return null;
+};
+
+/**
+ * The backend a chat session talks to
+ * AI server sessions are bound to the backend that issued their cookie, so a session
+ * stays on its backend. It only moves when that backend is down (or excluded, or no
+ * longer configured); it then starts a fresh AI server session on the new backend and
+ * its documents are uploaded there again by ensureSessionIndexed.
+ * Sessions from before backend pools existed belong to the first backend.
+ */
+const assignBackend = async (chatSession, exclude) => {
+    const assignedUrl = chatSession.aiBackend || (chatSession.aiCookie ? backends[0].url : null);
+    const current = backends.find(backend => backend.url === assignedUrl);
+    if (current && !exclude.includes(current.url) && !isDown(current)) {
+        return current;
+    }
+
+    const backend = pickBackend(exclude);
+    if (!backend) {
+        throw aiUnavailableError();
+    }
+
+    if (assignedUrl) {
+        console.warn(`Moving chat session ${chatSession._id} from AI server ${assignedUrl} to ${backend.url}`);
+    }
+    chatSession.aiBackend = backend.url;
+    chatSession.aiCookie = null;
+    chatSession.indexedPdfs = [];
+    // Unsaved sessions pick the backend up when they are first saved
+    if (!chatSession.isNew) {
+        await ChatSession.updateOne(
+            { _id: chatSession._id },
+            { aiBackend: backend.url, aiCookie: null, indexedPdfs: [] }
+        );
+    }
+    return backend;
+};
+
+/**
+ * Create an axios instance bound to one chat session's AI server session
+ * The AI server keeps documents and conversation per cookie, so the cookie and the
+ * backend that issued it are persisted on the ChatSession and survive restarts.
+ * @param {Object} chatSession - ChatSession document (aiCookie and aiBackend must be selected)
+ * @param {Object} options - { exclude }: backend URLs not to use
+ * @returns {Promise<Object>} - Axios instance
+ * @throws {Error} - AI_UNAVAILABLE when no backend is available
+ */
+const getAiAxiosForSession = async (chatSession, { exclude = [] } = {}) => {
+    const sessionId = chatSession._id.toString();
+    const { url, circuit } = await assignBackend(chatSession, exclude);
+
+    const aiAxios = axios.create({
+        baseURL: url,
+        withCredentials: true,
+        timeout: 60000, // 60 seconds timeout for large file uploads
+        headers: {
+            'Accept': 'application/json',
+        }
+    });
+
+    // Response interceptor to store cookies on the chat session
+    aiAxios.interceptors.response.use(
+        async response => {
+            if (response.config.circuitAcquired) {
+                circuit.recordSuccess();
+            }
+            const setCookieHeader = response.headers['set-cookie'];
+            if (setCookieHeader) {
+                // Handle both array and string formats
+                const cookieString = Array.isArray(setCookieHeader)
+                    ? setCookieHeader.join('; ')
+                    : setCookieHeader;
+                chatSession.aiCookie = cookieString;
+                // Unsaved sessions pick the cookie up when they are first saved
+                if (!chatSession.isNew) {
+                    await ChatSession.updateOne({ _id: chatSession._id }, { aiCookie: cookieString });
+                }
+            }
+            return response;
+        },
+        error => {
+            // Refused by the circuit breaker: the request was never sent
+            if (isAiUnavailable(error)) {
+                return Promise.reject(error);
+            }
+            if (error.config && error.config.circuitAcquired) {
+                if (axios.isCancel(error)) {
+                    circuit.release();
+                } else if (isAiOutage(error)) {
+                    circuit.recordFailure();
+                } else {
+                    circuit.recordSuccess();
+                }
+            }
+
+            // Enhanced error logging
+            if (error.response) {
+                console.error(`AI Server Error for session ${sessionId} (${url}):`, {
+                    status: error.response.status,
+                    statusText: error.response.statusText,
+                    data: error.response.data,
+                    headers: error.response.headers
+                });
+            } else if (error.request) {
+                console.error(`AI Server Connection Error for session ${sessionId} (${url}):`, {
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            return Promise.reject(error);
+        }
+    );
+
+    // Request interceptor to add this session's cookie
+    // and to fail fast while the backend's circuit is open
+    aiAxios.interceptors.request.use(config => {
+        if (!circuit.tryAcquire()) {
+            throw aiUnavailableError();
+        }
+        config.circuitAcquired = true;
+        if (chatSession.aiCookie) {
+            config.headers.Cookie = chatSession.aiCookie;
+        }
+        return config;
+    });
+
+    return aiAxios;
+};
+
+/**
+ * Run AI server calls for a chat session, failing over to another backend
+ * when the session's own backend dies
+ * `run` receives the session's axios instance. If the backend fails (see isBackendFailure)
+ * it is run once more on another backend, so it should include ensureSessionIndexed: the
+ * session's documents are uploaded to the new backend before it is asked anything.
+ * Errors marked `noFailover` (e.g. part of an answer was already sent) are not retried.
+ * @param {Object} chatSession - ChatSession document (aiCookie and aiBackend must be selected)
+ * @param {Function} run - async (aiAxios) => result
+ * @returns {Promise<*>} - Result of run
+ */
+const withAiSession = async (chatSession, run) => {
+    const aiAxios = await getAiAxiosForSession(chatSession);
+    try {
+        return await run(aiAxios);
+    } catch (error) {
+        const failedUrl = aiAxios.defaults.baseURL;
+        if (error.noFailover || !isBackendFailure(error) || backends.length < 2) {
+            throw error;
+        }
+
+        let fallbackAxios;
+        try {
+            fallbackAxios = await getAiAxiosForSession(chatSession, { exclude: [failedUrl] });
+        } catch (fallbackError) {
+            throw error;
+        }
+        console.warn(`AI server ${failedUrl} failed (${error.response ? error.response.status : error.code}), retrying chat session ${chatSession._id} on ${fallbackAxios.defaults.baseURL}`);
+        return run(fallbackAxios);
+    }
+};
+
+/**
+ * Upload stored PDFs into the AI server session behind aiAxios
+ * @param {Object} aiAxios - Axios instance from getAiAxiosForSession
+ * @param {Array} pdfs - PDF documents
+ * @returns {Promise<Object>} - AI server response body
+ */
+const uploadToAi = async (aiAxios, pdfs) => {
+    // Create form data with the actual files, read from whichever backend stores them.
+    // pdf_ids[i] is the id of pdf_files[i]; the AI server tags each chunk with it
+    // so answer sources can be traced back to the document.
+    const formData = new FormData();
+    for (const pdf of pdfs) {
+        formData.append('pdf_ids', pdf._id.toString());
+        formData.append('pdf_files', await openStream(pdf), {
+            filename: pdfFileName(pdf),
+            contentType: 'application/pdf',
+            ...(pdf.size && { knownLength: pdf.size })
+        });
+    }
+
+    // FormData.getHeaders() already includes Content-Type with boundary
+    const response = await aiAxios.post('/upload', formData, {
+        headers: {
+            ...formData.getHeaders()
+        },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+        timeout: 120000 // 2 minutes for large files
+    });
+
+    // Check if AI server returned success
+    if (!response.data || !response.data.success) {
+        throw new Error(response.data?.message || 'AI server returned unsuccessful response');
+    }
+
+    return response.data;
+};
+
+/**
+ * Make sure every PDF of a chat session has been uploaded to its AI server session
+ * @param {Object} chatSession - Saved ChatSession document (aiCookie and aiBackend must be selected)
+ * @param {Object} aiAxios - Axios instance from getAiAxiosForSession
+ */
+const ensureSessionIndexed = async (chatSession, aiAxios) => {
+    const indexed = new Set(chatSession.indexedPdfs.map(id => id.toString()));
+    const pendingIds = chatSession.pdfs.filter(id => !indexed.has(id.toString()));
+    if (pendingIds.length === 0) {
+        return;
+    }
+
+    const pending = await PDF.find({ _id: { $in: pendingIds } });
+    if (pending.length > 0) {
+        console.log(`Indexing ${pending.length} PDF(s) for chat session ${chatSession._id}`);
+        await uploadToAi(aiAxios, pending);
+    }
+
+    chatSession.indexedPdfs.push(...pending.map(pdf => pdf._id));
+    await ChatSession.updateOne(
+        { _id: chatSession._id },
+        { $addToSet: { indexedPdfs: { $each: pending.map(pdf => pdf._id) } } }
+    );
+};
+
+/**
+ * Ask a question over the AI server's streaming endpoint
+ * Accepts either Server-Sent Events ({"token"} events and a final {"done": true, "answer", ...})
+ * or a plain chunked text body, and reports each piece of the answer as it arrives.
+ * @param {Object} aiAxios - Axios instance from getAiAxiosForSession
+ * @param {string} question - User question
+ * @param {Object} options - { signal: AbortSignal, onToken: (token) => void }
+ * @returns {Promise<Object>} - { answer, conversation_history, sources }
+ */
+const streamQueryFromAi = async (aiAxios, question, { signal, onToken }) => {
+    const params = new URLSearchParams();
+    params.append('query', question);
+
+    const response = await aiAxios.post('/query/stream', params, {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'text/event-stream'
+        },
+        responseType: 'stream',
+        signal
+    });
+
+    const isEventStream = (response.headers['content-type'] || '').includes('text/event-stream');
+    let answer = '';
+    let final = null;
+    let buffer = '';
+
+    response.data.setEncoding('utf8');
+    for await (const chunk of response.data) {
+        if (!isEventStream) {
+            answer += chunk;
+            onToken(chunk);
+            continue;
+        }
+
+        buffer += chunk.replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const data = rawEvent
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (!data) {
+                continue;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(data);
+            } catch (err) {
+                payload = { token: data };
+            }
+
+            if (payload.error) {
+                throw new Error(payload.error);
+            }
+            if (payload.token) {
+                answer += payload.token;
+                onToken(payload.token);
+            }
+            if (payload.done) {
+                final = payload;
+            }
+        }
+    }
+
+    return {
+        answer: final?.answer || answer,
+        conversation_history: final?.conversation_history,
+        sources: final?.sources
+    };
+};
+
+/**
+ * Turn the sources returned by the AI server into { pdf, page, text, score }
+ * Each source names its document by pdf_id (or, from AI servers that predate
+ * pdf_ids, by file name); sources that match none of the session's PDFs are dropped.
+ * @param {Array} rawSources - sources from the AI server answer
+ * @param {Object} chatSession - ChatSession the question was asked in
+ * @returns {Promise<Array>} - Normalized sources, best match first
+ */
+const normalizeSources = async (rawSources, chatSession) => {
+    if (!Array.isArray(rawSources) || rawSources.length === 0) {
+        return [];
+    }
+
+    const sessionPdfIds = new Set(chatSession.pdfs.map(id => id.toString()));
+    const pdfs = await PDF.find({ _id: { $in: chatSession.pdfs } }).select('originalname');
+    const byName = new Map(pdfs.map(pdf => [pdf.originalname, pdf._id]));
+
+    const toNumber = (value) => {
+        const number = Number(value);
+        return value !== null && value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
+    };
+
+    return rawSources
+        .map(source => {
+            const pdfId = source.pdf_id || source.pdfId;
+            let pdf = null;
+            if (pdfId && mongoose.isValidObjectId(pdfId) && sessionPdfIds.has(String(pdfId))) {
+                pdf = new mongoose.Types.ObjectId(String(pdfId));
+            } else {
+                pdf = byName.get(source.source || source.filename) || null;
+            }
+            return {
+                pdf,
+                page: toNumber(source.page ?? source.page_number),
+                text: String(source.text ?? source.content ?? source.chunk ?? ''),
+                score: toNumber(source.score)
+            };
+        })
+        .filter(source => source.pdf)
+        .sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity));
+};
+
+/**
+ * Forget the AI server state of chat sessions so they are re-indexed from
+ * scratch on their next question (e.g. after one of their PDFs was removed)
+ * @param {Object} filter - ChatSession filter
+ */
+const resetAiSessions = (filter) =>
+    ChatSession.updateMany(filter, { aiCookie: null, indexedPdfs: [] });
+
+/**
+ * Take PDFs out of chat sessions (all of them, or those matching filter).
+ * Sessions that had one indexed are reset; sessions left without PDFs are deleted.
+ * @param {Object|Array} pdfIds - PDF id or ids
+ * @param {Object} filter - Extra ChatSession filter, e.g. { user }
+ */
+const detachPdfFromSessions = async (pdfIds, filter = {}) => {
+    const ids = Array.isArray(pdfIds) ? pdfIds : [pdfIds];
+    const affected = await ChatSession.find({ ...filter, pdfs: { $in: ids } }).select('_id');
+    const sessionIds = affected.map(chatSession => chatSession._id);
+    if (sessionIds.length === 0) {
+        return;
+    }
+
+    await resetAiSessions({ _id: { $in: sessionIds }, indexedPdfs: { $in: ids } });
+    await ChatSession.updateMany({ _id: { $in: sessionIds } }, { $pull: { pdfs: { $in: ids } } });
+    await ChatSession.deleteMany({ _id: { $in: sessionIds }, pdfs: { $size: 0 } });
+};
+
+module.exports = {
+    AI_SERVER_URLS,
+    isAiAvailable,
+    isAiUnavailable,
+    aiUnavailableError,
+    getAiCircuitStatus,
+    probeAiServer,
+    getAiAxiosForSession,
+    withAiSession,
+    uploadToAi,
+    ensureSessionIndexed,
+    streamQueryFromAi,
+    normalizeSources,
+    resetAiSessions,
+    detachPdfFromSessions
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const AnswerCache = require('../models/AnswerCache');
+const PDF = require('../models/PDF');
+
+// How long an answer is reused; 0 turns the cache off
+const ANSWER_CACHE_TTL_HOURS = process.env.ANSWER_CACHE_TTL_HOURS !== undefined
+    ? Number(process.env.ANSWER_CACHE_TTL_HOURS)
+    : 24;
+
+const isCacheEnabled = () => ANSWER_CACHE_TTL_HOURS > 0;
+
+// "  What is the  Deadline? " and "what is the deadline" are the same question
+const normalizeQuestion = (question) =>
+    String(question)
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[\s?!.]+$/, '');
+
+// Answers are only shared within a workspace: a cache hit must not tell anyone
+// that another tenant uploaded the same content and asked the same question
+const cacheKey = (sha256, workspaceId, question) =>
+    crypto.createHash('sha256').update(`${sha256}\n${workspaceId}\n${normalizeQuestion(question)}`).digest('hex');
+
+/**
+ * Find a stored answer to a question about a document's content
+ * @param {string} sha256 - SHA-256 of the document
+ * @param {Object} workspaceId - Workspace the question is asked in
+ * @param {string} question - Question as asked
+ * @returns {Promise<Object|null>} - { answer, sources } (sources without pdf) or null
+ */
+const findCachedAnswer = async (sha256, workspaceId, question) => {
+    if (!isCacheEnabled() || !sha256) {
+        return null;
+    }
+    // The TTL monitor only runs every minute, so expired entries are skipped here
+    const entry = await AnswerCache.findOneAndUpdate(
+        { key: cacheKey(sha256, workspaceId, question), expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { new: true }
+    ).lean();
+    return entry ? { answer: entry.answer, sources: entry.sources } : null;
+};
+
+/**
+ * Store the AI server's answer to a question about a document's content
+ * Caching never fails the request: errors are only logged.
+ * @param {string} sha256 - SHA-256 of the document
+ * @param {Object} workspaceId - Workspace the question was asked in
+ * @param {string} question - Question as asked
+ * @param {Object} result - { answer, sources } (normalized sources)
+ */
+const cacheAnswer = async (sha256, workspaceId, question, { answer, sources }) => {
+    if (!isCacheEnabled() || !sha256 || !answer) {
+        return;
+    }
+    try {
+        await AnswerCache.updateOne(
+            { key: cacheKey(sha256, workspaceId, question) },
+            {
+                $set: {
+                    sha256,
+                    workspace: workspaceId,
+                    question: normalizeQuestion(question),
+                    answer,
+                    sources: sources.map(({ page, text, score }) => ({ page, text, score })),
+                    createdAt: new Date(),
+                    expiresAt: new Date(Date.now() + ANSWER_CACHE_TTL_HOURS * 60 * 60 * 1000)
+                },
+                $setOnInsert: { hits: 0 }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error caching answer:', error.message);
+    }
+};
+
+/**
+ * Drop the cached answers for document contents that no PDF is current for any more,
+ * after PDFs were deleted or replaced by another version
+ * Identical uploads in a workspace share their answers, so contents still in use keep them.
+ * @param {Array} hashes - SHA-256 of the removed or replaced contents
+ */
+const invalidateAnswers = async (hashes) => {
+    const candidates = [...new Set(hashes.filter(Boolean))];
+    if (candidates.length === 0) {
+        return;
+    }
+    const inUse = await PDF.distinct('sha256', { sha256: { $in: candidates } });
+    const unused = candidates.filter(sha256 => !inUse.includes(sha256));
+    if (unused.length > 0) {
+        await AnswerCache.deleteMany({ sha256: { $in: unused } });
+    }
+};
+
+module.exports = {
+    findCachedAnswer,
+    cacheAnswer,
+    invalidateAnswers
+};
@@ -0,0 +1,123 @@
+const AttemptCounter = require("../models/attemptCounter");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Limits used by the auth controllers.
+ * - threshold: attempts allowed inside the window before a lock kicks in
+ * - baseLockMs: first lock duration, doubled for each further attempt
+ * - maxLockMs: upper bound for the lock duration
+ * - windowMs: how long the counter is kept after the last attempt
+ */
+const POLICIES = {
+  loginAccount: { threshold: 5, baseLockMs: MINUTE, maxLockMs: HOUR, windowMs: HOUR },
+  loginIp: { threshold: 20, baseLockMs: 5 * MINUTE, maxLockMs: HOUR, windowMs: HOUR },
+  otpEmail: { threshold: 5, baseLockMs: HOUR, maxLockMs: HOUR, windowMs: HOUR },
+  otpIp: { threshold: 20, baseLockMs: HOUR, maxLockMs: HOUR, windowMs: HOUR },
+};
+
+/**
+ * Returns how long the caller must wait before any of the keys may be used again
+ * @param {string[]} keys - Counter keys to check
+ * @returns {Promise<number>} - Remaining lock in milliseconds, 0 when not locked
+ */
+const getRetryAfter = async (keys) => {
+  const now = Date.now();
+  const counters = await AttemptCounter.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date(now) },
+  }).select("lockedUntil");
+
+  return counters.reduce(
+    (longest, counter) => Math.max(longest, counter.lockedUntil.getTime() - now),
+    0
+  );
+};
+
+/**
+ * Records one attempt against a key and locks it once the policy threshold is reached.
+ * Each attempt past the threshold doubles the lock, up to policy.maxLockMs.
+ * @param {string} key - Counter key
+ * @param {Object} policy - One of POLICIES
+ * @returns {Promise<number>} - Lock applied in milliseconds, 0 when not locked
+ */
+const registerAttempt = async (key, policy) => {
+  const now = new Date();
+
+  // A window that has passed but not yet been swept by the TTL monitor starts over
+  await AttemptCounter.deleteOne({ key, expiresAt: { $lte: now } });
+
+  const increment = () =>
+    AttemptCounter.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $set: { expiresAt: new Date(now.getTime() + policy.windowMs) },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Parallel first attempts can race to create the counter; the loser updates it
+    if (error.code !== 11000) {
+      throw error;
+    }
+    counter = await increment();
+  }
+
+  if (counter.count < policy.threshold) {
+    return 0;
+  }
+
+  const lockMs = Math.min(
+    policy.baseLockMs * 2 ** (counter.count - policy.threshold),
+    policy.maxLockMs
+  );
+  const lockedUntil = new Date(now.getTime() + lockMs);
+
+  await AttemptCounter.updateOne(
+    { key },
+    {
+      lockedUntil,
+      // Keep the counter at least as long as the lock it carries
+      expiresAt: new Date(Math.max(lockedUntil.getTime(), now.getTime() + policy.windowMs)),
+    }
+  );
+
+  return lockMs;
+};
+
+/**
+ * Forgets all attempts recorded against the keys (e.g. after a successful login)
+ * @param {string[]} keys - Counter keys to reset
+ */
+const clearAttempts = async (keys) => {
+  await AttemptCounter.deleteMany({ key: { $in: keys } });
+};
+
+/**
+ * Sends the standard "too many attempts" response
+ * @param {Object} res - Express response
+ * @param {number} retryAfterMs - Remaining lock in milliseconds
+ */
+const sendTooManyAttempts = (res, retryAfterMs) => {
+  const seconds = Math.ceil(retryAfterMs / 1000);
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many attempts. Please try again in ${seconds} seconds.`,
+    retryAfter: seconds,
+  });
+};
+
+module.exports = {
+  POLICIES,
+  getRetryAfter,
+  registerAttempt,
+  clearAttempts,
+  sendTooManyAttempts,
+};
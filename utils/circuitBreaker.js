@@ -0,0 +1,81 @@
+/**
+ * Create a circuit breaker for calls to an external service
+ * - closed: calls go through; `failureThreshold` failures in a row open the circuit
+ * - open: calls fail straight away until `resetTimeoutMs` has passed
+ * - half-open: one trial call goes through; success closes the circuit, failure opens it again
+ * State is kept per process.
+ * @param {Object} options - { name, failureThreshold, resetTimeoutMs }
+ * @returns {Object} - { tryAcquire, recordSuccess, recordFailure, release, isAvailable, getStatus }
+ */
+const createCircuitBreaker = ({ name, failureThreshold = 5, resetTimeoutMs = 30000 }) => {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    const cooledDown = () => Date.now() - openedAt >= resetTimeoutMs;
+
+    const open = () => {
+        if (state !== 'open') {
+            console.warn(`${name} circuit opened after ${failures} failure(s); failing fast for ${resetTimeoutMs / 1000}s`);
+        }
+        state = 'open';
+        openedAt = Date.now();
+    };
+
+    return {
+        // Whether a call may go ahead now. Call exactly one of recordSuccess,
+        // recordFailure or release for every call that was let through.
+        tryAcquire: () => {
+            if (state === 'open') {
+                if (!cooledDown()) {
+                    return false;
+                }
+                state = 'half-open';
+            }
+            if (state === 'half-open') {
+                if (trialInFlight) {
+                    return false;
+                }
+                trialInFlight = true;
+            }
+            return true;
+        },
+
+        recordSuccess: () => {
+            if (state !== 'closed') {
+                console.log(`${name} circuit closed, service is back`);
+            }
+            state = 'closed';
+            failures = 0;
+            trialInFlight = false;
+        },
+
+        recordFailure: () => {
+            trialInFlight = false;
+            failures += 1;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                open();
+            }
+        },
+
+        // The call ended without telling anything about the service (e.g. it was cancelled)
+        release: () => {
+            trialInFlight = false;
+            if (state === 'half-open') {
+                state = 'open';
+            }
+        },
+
+        // Whether a call made now would be let through
+        isAvailable: () => state === 'closed' || (state === 'open' ? cooledDown() : !trialInFlight),
+
+        getStatus: () => ({
+            state,
+            failures,
+            retryAfterMs: state === 'open' ? Math.max(openedAt + resetTimeoutMs - Date.now(), 0) : 0
+        })
+    };
+};
+
+module.exports = { createCircuitBreaker };
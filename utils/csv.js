@@ -0,0 +1,30 @@
+/**
+ * Quote a value for a CSV cell (RFC 4180)
+ * Cells that a spreadsheet would run as a formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array} headers - Column names
+ * @param {Array} rows - Arrays of cell values, in header order
+ * @returns {string}
+ */
+const toCsv = (headers, rows) =>
+    [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+    csvCell,
+    toCsv
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const mammoth = require('mammoth');
+const PDFDocument = require('pdfkit');
+const { convert: htmlToText } = require('html-to-text');
+
+// Upload formats and the file extensions they may arrive with
+const SOURCE_FORMATS = {
+    pdf: ['.pdf'],
+    docx: ['.docx'],
+    txt: ['.txt', '.text'],
+    md: ['.md', '.markdown'],
+    html: ['.html', '.htm']
+};
+
+const ALLOWED_EXTENSIONS = Object.values(SOURCE_FORMATS).flat();
+
+// Bytes read from the start of a file to recognise it
+const SNIFF_BYTES = 8192;
+
+const readHead = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+};
+
+// Text files must be UTF-8 without NUL bytes (a truncated multi-byte character at the end is fine)
+const looksLikeText = (head) => {
+    if (head.includes(0)) {
+        return false;
+    }
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Work out an upload's real format from its content, not the client-supplied mimetype
+ * PDFs and DOCX files are recognised by their magic bytes; text formats must be UTF-8
+ * text and are told apart by extension (or an HTML doctype).
+ * @param {string} filePath - Local path of the upload
+ * @param {string} originalname - Client file name
+ * @returns {Promise<string|null>} - Key of SOURCE_FORMATS, or null if the file is not accepted
+ */
+const detectFormat = async (filePath, originalname) => {
+    const head = await readHead(filePath);
+    const extension = path.extname(originalname || '').toLowerCase();
+
+    if (head.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return 'pdf';
+    }
+    // DOCX is a ZIP archive; mammoth rejects ZIPs that are not Word documents
+    if (head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+        return SOURCE_FORMATS.docx.includes(extension) ? 'docx' : null;
+    }
+    if (!looksLikeText(head)) {
+        return null;
+    }
+
+    const start = head.toString('utf8').trimStart().slice(0, 100).toLowerCase();
+    if (SOURCE_FORMATS.html.includes(extension) || start.startsWith('<!doctype html') || start.startsWith('<html')) {
+        return 'html';
+    }
+    if (SOURCE_FORMATS.md.includes(extension)) {
+        return 'md';
+    }
+    if (SOURCE_FORMATS.txt.includes(extension)) {
+        return 'txt';
+    }
+    return null;
+};
+
+// Plain text of a non-PDF upload
+const extractText = async (filePath, format) => {
+    if (format === 'docx') {
+        const { value } = await mammoth.extractRawText({ path: filePath });
+        return value;
+    }
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    if (format === 'html') {
+        return htmlToText(content, {
+            wordwrap: false,
+            selectors: [
+                { selector: 'a', options: { ignoreHref: true } },
+                { selector: 'img', format: 'skip' }
+            ]
+        });
+    }
+    return content;
+};
+
+/**
+ * Lay text out as a PDF. Markdown headings become bold headings;
+ * everything else is set as plain paragraphs.
+ */
+const writeTextPdf = async (text, format, targetPath, title) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title } });
+    const done = pipeline(doc, fs.createWriteStream(targetPath));
+
+    doc.font('Helvetica').fontSize(11);
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const heading = format === 'md' && line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            doc.moveDown(0.5)
+                .font('Helvetica-Bold')
+                .fontSize(Math.max(20 - heading[1].length * 2, 11))
+                .text(heading[2])
+                .font('Helvetica')
+                .fontSize(11);
+        } else {
+            doc.text(line || ' ');
+        }
+    }
+    doc.end();
+
+    await done;
+};
+
+/**
+ * Convert a non-PDF upload into a PDF the AI server can ingest
+ * The converted file replaces the upload on disk; the multer file is updated to describe it.
+ * @param {Object} file - Multer file ({ path, filename, originalname, size, mimetype })
+ * @param {string} format - Format from detectFormat
+ */
+const convertUploadToPdf = async (file, format) => {
+    const text = await extractText(file.path, format);
+    if (!text.trim()) {
+        throw new Error('The document contains no text');
+    }
+
+    const targetPath = `${file.path}.pdf`;
+    try {
+        await writeTextPdf(text, format, targetPath, file.originalname);
+    } catch (error) {
+        await fs.promises.unlink(targetPath).catch(() => {});
+        throw error;
+    }
+    await fs.promises.unlink(file.path);
+
+    file.path = targetPath;
+    file.filename = `${file.filename}.pdf`;
+    file.mimetype = 'application/pdf';
+    file.size = (await fs.promises.stat(targetPath)).size;
+};
+
+/**
+ * File name to use for a stored document's PDF, e.g. "notes.docx" -> "notes.pdf"
+ * @param {Object} doc - PDF or PDFVersion document
+ * @returns {string}
+ */
+const pdfFileName = (doc) => {
+    if (!doc.sourceFormat || doc.sourceFormat === 'pdf') {
+        return doc.originalname;
+    }
+    const extension = path.extname(doc.originalname);
+    return `${path.basename(doc.originalname, extension)}.pdf`;
+};
+
+module.exports = {
+    SOURCE_FORMATS,
+    ALLOWED_EXTENSIONS,
+    detectFormat,
+    convertUploadToPdf,
+    pdfFileName
+};
@@ -0,0 +1,14 @@
+/**
+ * Escapes text so it can be embedded in HTML (element content or quoted attributes)
+ * @param {string} value - Raw text, e.g. a user-chosen name
+ * @returns {string} - Text that renders literally
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+module.exports = escapeHtml;
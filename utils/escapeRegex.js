@@ -0,0 +1,8 @@
+/**
+ * Escapes user input so it can be embedded in a RegExp / $regex as a literal
+ * @param {string} value - Raw search term
+ * @returns {string} - Pattern matching the term literally
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = escapeRegex;
@@ -0,0 +1,142 @@
+const { csvCell } = require('./csv');
+
+const CSV_HEADERS = ['createdAt', 'pdfId', 'pdfName', 'pdfVersion', 'question', 'answer', 'sourcePages', 'rating', 'chatSession'];
+
+const pdfName = (entry) => (entry.pdf && entry.pdf.originalname) || 'Deleted document';
+const pdfId = (entry) => (entry.pdf && entry.pdf._id ? entry.pdf._id : entry.pdf);
+
+// Pages the answer was based on, e.g. "3, 7"
+const sourcePages = (entry) =>
+    [...new Set((entry.sources || []).map(source => source.page).filter(page => page !== null && page !== undefined))]
+        .join(', ');
+
+// Quote every line of a block of text for Markdown
+const blockquote = (text) => String(text).split(/\r?\n/).map(line => `> ${line}`).join('\n');
+
+/**
+ * Writers for each export format. Each one turns history entries into text:
+ * start() once, entry() per history entry (in order) and end() once.
+ * `state` is shared across the calls of one export.
+ */
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => CSV_HEADERS.join(',') + '\r\n',
+        entry: (entry) => [
+            entry.createdAt,
+            pdfId(entry),
+            pdfName(entry),
+            entry.pdfVersion || 1,
+            entry.question,
+            entry.answer,
+            sourcePages(entry),
+            entry.feedback ? entry.feedback.rating : '',
+            entry.chatSession
+        ].map(csvCell).join(',') + '\r\n',
+        end: () => ''
+    },
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        start: () => '[',
+        entry: (entry, state) => {
+            const separator = state.count > 0 ? ',' : '';
+            return separator + '\n' + JSON.stringify({
+                _id: entry._id,
+                createdAt: entry.createdAt,
+                pdf: { _id: pdfId(entry), originalname: pdfName(entry) },
+                pdfVersion: entry.pdfVersion || 1,
+                chatSession: entry.chatSession,
+                question: entry.question,
+                answer: entry.answer,
+                sources: entry.sources,
+                feedback: entry.feedback
+            });
+        },
+        end: (state) => (state.count > 0 ? '\n]\n' : ']\n')
+    },
+    // A transcript per document; entries must arrive sorted by PDF
+    md: {
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+        start: () => `# Query history\n\nExported ${new Date().toISOString()}\n`,
+        entry: (entry, state) => {
+            let text = '';
+            const currentPdf = String(pdfId(entry));
+            if (state.currentPdf !== currentPdf) {
+                state.currentPdf = currentPdf;
+                text += `\n## ${pdfName(entry)}\n`;
+            }
+            text += `\n### ${entry.createdAt.toISOString()}\n\n`;
+            text += `**Q:** ${entry.question}\n\n`;
+            text += `**A:**\n\n${blockquote(entry.answer)}\n`;
+            const pages = sourcePages(entry);
+            if (pages) {
+                text += `\n_Sources: page ${pages}_\n`;
+            }
+            return text;
+        },
+        end: (state) => (state.count === 0 ? '\nNo questions found.\n' : '')
+    }
+};
+
+// Resolve once the client can take more data, or has gone away
+const waitForDrain = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Stream history entries from a cursor to the response in the given format,
+ * waiting for the client to catch up instead of buffering the whole export
+ * @param {Object} res - Express response (headers are set here)
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {string} format - Key of EXPORT_FORMATS
+ */
+const streamHistoryExport = async (res, cursor, format) => {
+    // Own keys only: "constructor" or "toString" are not formats
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    const writer = EXPORT_FORMATS[format];
+    const state = { count: 0 };
+
+    res.set({
+        'Content-Type': writer.contentType,
+        'Content-Disposition': `attachment; filename="query-history-${new Date().toISOString().slice(0, 10)}.${writer.extension}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    const write = async (text) => {
+        if (text && !res.write(text)) {
+            await waitForDrain(res);
+        }
+    };
+
+    try {
+        await write(writer.start(state));
+        for await (const entry of cursor) {
+            // Stop reading from Mongo once the client has gone away
+            if (res.destroyed) {
+                return;
+            }
+            await write(writer.entry(entry, state));
+            state.count += 1;
+        }
+        await write(writer.end(state));
+        res.end();
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    streamHistoryExport
+};
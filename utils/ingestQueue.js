@@ -0,0 +1,180 @@
+const cron = require('node-cron');
+const PDF = require('../models/PDF');
+const ChatSession = require('../models/ChatSession');
+const IngestJob = require('../models/IngestJob');
+const { withAiSession, uploadToAi, isAiAvailable, isAiUnavailable } = require('./aiClient');
+
+const BASE_BACKOFF_MS = 15 * 1000; // 15s, 30s, 1m, 2m, ...
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+// A job still "processing" after this long is assumed to belong to a crashed process
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+let running = false;
+
+/**
+ * Queue a PDF for upload into a chat session's AI server session
+ * @param {Object} pdf - Saved PDF document
+ * @param {Object} chatSession - Saved ChatSession document
+ * @returns {Promise<Object>} - The created IngestJob
+ */
+const enqueueIngest = async (pdf, chatSession) => {
+    const job = await IngestJob.create({
+        pdf: pdf._id,
+        chatSession: chatSession._id,
+        user: pdf.user
+    });
+
+    // Don't wait for the next cron tick when this process is idle
+    setImmediate(processQueue);
+
+    return job;
+};
+
+/**
+ * Atomically claim the next runnable job, or return null if there is none
+ */
+const claimNextJob = () => {
+    const now = new Date();
+    return IngestJob.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', nextRunAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+            ]
+        },
+        { status: 'processing', lockedAt: now, $inc: { attempts: 1 } },
+        { new: true, sort: { nextRunAt: 1 } }
+    );
+};
+
+/**
+ * Turn an AI server failure into a message that is safe to show on the PDF status
+ */
+const describeAiError = (error) => {
+    if (error.response) {
+        // Detect macOS AirPlay Receiver conflict
+        const serverHeader = error.response.headers['server'] || '';
+        if (error.response.status === 403 && (serverHeader.includes('AirTunes') || serverHeader.includes('AirPlay'))) {
+            return 'Port 5000 conflict detected: macOS AirPlay Receiver is intercepting requests. Set AI_SERVER_URL=http://127.0.0.1:5000.';
+        }
+        const data = error.response.data;
+        return (typeof data === 'string' && data)
+            || data?.message
+            || data?.error
+            || `AI server responded with status ${error.response.status}`;
+    }
+    if (error.request) {
+        return error.code === 'ECONNREFUSED'
+            ? 'Unable to connect to AI server - it may not be running'
+            : 'Unable to connect to AI server: ' + error.message;
+    }
+    return error.message;
+};
+
+/**
+ * Upload one claimed job's PDF to the AI server, then mark it ready,
+ * reschedule it with exponential backoff, or give up after maxAttempts
+ */
+const runJob = async (job) => {
+    const [pdf, chatSession] = await Promise.all([
+        PDF.findById(job.pdf),
+        ChatSession.findById(job.chatSession).select('+aiCookie +aiBackend')
+    ]);
+
+    // The PDF or its session was deleted while the job was waiting
+    if (!pdf || !chatSession) {
+        await IngestJob.deleteOne({ _id: job._id });
+        return;
+    }
+
+    await PDF.updateOne({ _id: pdf._id }, { status: 'processing' });
+
+    try {
+        console.log(`Ingesting PDF ${pdf._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+        await withAiSession(chatSession, aiAxios => uploadToAi(aiAxios, [pdf]));
+
+        await ChatSession.updateOne(
+            { _id: chatSession._id },
+            { $addToSet: { indexedPdfs: pdf._id } }
+        );
+        await PDF.updateOne({ _id: pdf._id }, { status: 'ready', error: null });
+        await IngestJob.deleteOne({ _id: job._id });
+
+        console.log(`PDF ${pdf._id} is ready`);
+    } catch (error) {
+        // The AI server circuit opened meanwhile: wait for it without using up an attempt
+        if (isAiUnavailable(error)) {
+            await IngestJob.updateOne(
+                { _id: job._id },
+                {
+                    status: 'queued',
+                    lockedAt: null,
+                    $inc: { attempts: -1 },
+                    nextRunAt: new Date(Date.now() + error.retryAfter * 1000)
+                }
+            );
+            await PDF.updateOne({ _id: pdf._id }, { status: 'queued' });
+            return;
+        }
+
+        const message = describeAiError(error);
+        console.error(`Ingest error for PDF ${pdf._id}:`, message);
+
+        if (job.attempts >= job.maxAttempts) {
+            await IngestJob.updateOne(
+                { _id: job._id },
+                { status: 'failed', lockedAt: null, lastError: message }
+            );
+            await PDF.updateOne({ _id: pdf._id }, { status: 'failed', error: message });
+            return;
+        }
+
+        const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+        await IngestJob.updateOne(
+            { _id: job._id },
+            {
+                status: 'queued',
+                lockedAt: null,
+                lastError: message,
+                nextRunAt: new Date(Date.now() + backoff)
+            }
+        );
+        await PDF.updateOne({ _id: pdf._id }, { status: 'queued', error: message });
+    }
+};
+
+/**
+ * Work through runnable jobs one at a time until none are left
+ * Jobs wait in the queue while the AI server circuit is open.
+ */
+const processQueue = async () => {
+    if (running) {
+        return;
+    }
+    running = true;
+    try {
+        let job;
+        while (isAiAvailable() && (job = await claimNextJob())) {
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('Ingest queue error:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Poll the queue every 10 seconds so retries and jobs left by other processes get picked up
+ */
+const startIngestWorker = () => {
+    cron.schedule('*/10 * * * * *', processQueue);
+    console.log('Ingest worker started');
+};
+
+module.exports = {
+    enqueueIngest,
+    processQueue,
+    startIngestWorker
+};
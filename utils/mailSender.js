@@ -64,7 +64,8 @@ const mailSender = async (email, subject, body) => {
     const info = await transporter.sendMail({
       from: `"PDF Q&A" <${process.env.NODEMAILER_USER}>`,
       to: email,
-      subject: subject,
+      // Subjects often contain user-chosen names; a line break must not start a new header
+      subject: String(subject).replace(/[\r\n]+/g, " "),
       html: body,
     });
 
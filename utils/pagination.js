@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode the position after `doc` in a list sorted by `sortField`
+ * Cursors are opaque to clients: base64url JSON of the sort value and _id.
+ */
+const encodeCursor = (doc, sortField) => {
+    const value = doc[sortField];
+    return Buffer.from(JSON.stringify({
+        v: value instanceof Date ? value.toISOString() : value,
+        id: doc._id.toString()
+    })).toString('base64url');
+};
+
+// Decode a cursor produced by encodeCursor; returns null if it is malformed
+const decodeCursor = (cursor, type) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!mongoose.isValidObjectId(id)) {
+            return null;
+        }
+        const value = type === 'date' ? new Date(v) : v;
+        if (type === 'date' ? isNaN(value.getTime()) : typeof value !== type) {
+            return null;
+        }
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Read limit, sort, order and cursor from the query string
+ * @param {Object} query - req.query
+ * @param {Object} sortFields - Sortable fields and their types, e.g. { createdAt: 'date', originalname: 'string' }
+ * @param {Object} options - { defaultLimit, defaultSort }
+ * @returns {Object} - { limit, sortField, direction, after } or { error }
+ */
+const parsePagination = (query, sortFields, { defaultLimit = DEFAULT_LIMIT, defaultSort = 'createdAt' } = {}) => {
+    const { sort = defaultSort, order = 'desc', cursor } = query;
+
+    // Own keys only: "constructor" or "toString" are not sort fields
+    if (typeof sort !== 'string' || !Object.hasOwn(sortFields, sort)) {
+        return { error: `Sort must be one of: ${Object.keys(sortFields).join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'Order must be asc or desc' };
+    }
+
+    let after = null;
+    if (cursor) {
+        after = decodeCursor(cursor, sortFields[sort]);
+        if (!after) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT);
+    return { limit, sortField: sort, direction: order === 'asc' ? 1 : -1, after };
+};
+
+/**
+ * Run a paginated find: the page after `after` in (sortField, _id) order
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Base filter
+ * @param {Object} page - Result of parsePagination
+ * @param {Function} build - Optional (query) => query to add select/populate
+ * @returns {Promise<Object>} - { items, nextCursor, hasMore }
+ */
+const findPage = async (Model, filter, { limit, sortField, direction, after }, build = query => query) => {
+    const conditions = [filter];
+    if (after) {
+        const op = direction === 1 ? '$gt' : '$lt';
+        conditions.push({
+            $or: [
+                { [sortField]: { [op]: after.value } },
+                { [sortField]: after.value, _id: { [op]: after.id } }
+            ]
+        });
+    }
+
+    const items = await build(Model.find(conditions.length > 1 ? { $and: conditions } : filter))
+        .sort({ [sortField]: direction, _id: direction })
+        .limit(limit + 1);
+
+    const hasMore = items.length > limit;
+    if (hasMore) {
+        items.pop();
+    }
+
+    return {
+        items,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null
+    };
+};
+
+module.exports = {
+    parsePagination,
+    findPage
+};
@@ -0,0 +1,14 @@
+/**
+ * Parses an optional date from a query string parameter
+ * @param {string} value - Raw parameter (ISO date or anything Date understands)
+ * @returns {Date|undefined|null} - undefined when absent, null when invalid
+ */
+const parseDate = (value) => {
+    if (!value) {
+        return undefined;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = parseDate;
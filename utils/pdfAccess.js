@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const PDF = require('../models/PDF');
+const PDFShare = require('../models/PDFShare');
+const Workspace = require('../models/Workspace');
+const { ROLE_PERMISSIONS } = require('./workspaces');
+
+// Each permission includes the ones below it; owners can do everything
+const PERMISSION_LEVELS = { view: 1, query: 2, manage: 3, owner: 4 };
+
+/**
+ * Filter matching the shares that apply to a user (by account or by invited email)
+ * @param {Object} user - User document
+ */
+const sharesForUser = (user) => ({
+    $or: [{ user: user._id }, { email: user.email }]
+});
+
+/**
+ * Load a PDF if the user uploaded it, belongs to its workspace, or it was shared
+ * with them, and that grants at least `permission`
+ * @param {string} pdfId - PDF id
+ * @param {Object} user - User document
+ * @param {string} permission - Minimum permission: 'view', 'query', 'manage' or 'owner'
+ * @returns {Promise<Object|null>} - { pdf, access } where access is 'owner' or the share permission
+ */
+const findAccessiblePDF = async (pdfId, user, permission = 'view') => {
+    if (!mongoose.isValidObjectId(pdfId)) {
+        return null;
+    }
+
+    const pdf = await PDF.findById(pdfId);
+    if (!pdf) {
+        return null;
+    }
+    if (pdf.user.equals(user._id)) {
+        return { pdf, access: 'owner' };
+    }
+
+    // Workspace members get the permission their role grants
+    let access = null;
+    if (pdf.workspace) {
+        const workspace = await Workspace.findOne({ _id: pdf.workspace, 'members.user': user._id })
+            .select('members');
+        if (workspace) {
+            access = ROLE_PERMISSIONS[workspace.roleOf(user._id)];
+        }
+    }
+    if (access && PERMISSION_LEVELS[access] >= PERMISSION_LEVELS[permission]) {
+        return { pdf, access };
+    }
+
+    const share = await PDFShare.findOne({ pdf: pdf._id, ...sharesForUser(user) });
+    if (!share || PERMISSION_LEVELS[share.permission] < PERMISSION_LEVELS[permission]) {
+        return null;
+    }
+    return { pdf, access: share.permission };
+};
+
+/**
+ * Check that the user has at least `permission` on every PDF id
+ * @param {Array} pdfIds - PDF ids
+ * @param {Object} user - User document
+ * @param {string} permission - Minimum permission
+ * @returns {Promise<Array|null>} - De-duplicated ObjectIds, or null if any id is invalid or not accessible
+ */
+const resolveAccessiblePdfIds = async (pdfIds, user, permission = 'view') => {
+    if (!Array.isArray(pdfIds) || !pdfIds.every(id => mongoose.isValidObjectId(id))) {
+        return null;
+    }
+
+    const uniqueIds = [...new Set(pdfIds.map(String))];
+    const results = await Promise.all(uniqueIds.map(id => findAccessiblePDF(id, user, permission)));
+    return results.every(Boolean)
+        ? results.map(({ pdf }) => pdf._id)
+        : null;
+};
+
+module.exports = {
+    PERMISSION_LEVELS,
+    sharesForUser,
+    findAccessiblePDF,
+    resolveAccessiblePdfIds
+};
@@ -0,0 +1,77 @@
+const PDF = require('../models/PDF');
+const QueryHistory = require('../models/QueryHistory');
+const IngestJob = require('../models/IngestJob');
+const PDFShare = require('../models/PDFShare');
+const PDFPage = require('../models/PDFPage');
+const PDFVersion = require('../models/PDFVersion');
+const { removeFile } = require('./storage');
+const { detachPdfFromSessions } = require('./aiClient');
+const { releaseUsage } = require('./quotas');
+const { invalidateAnswers } = require('./answerCache');
+
+/**
+ * Bytes and documents to give back to each user's quota when PDFs are deleted
+ * (mirrors how utils/quotas.js counts them)
+ */
+const usageByUser = (pdfs, versions) => {
+    const usage = new Map();
+    const add = (userId, bytes, documents) => {
+        if (!userId) {
+            return;
+        }
+        const key = userId.toString();
+        const current = usage.get(key) || { bytes: 0, documents: 0 };
+        usage.set(key, { bytes: current.bytes + (bytes || 0), documents: current.documents + documents });
+    };
+
+    const versioned = new Set(versions.map(version => version.pdf.toString()));
+    pdfs.forEach(pdf => add(pdf.user, versioned.has(pdf._id.toString()) ? 0 : pdf.size, 1));
+    versions.forEach(version => add(version.uploadedBy, version.size, 0));
+    return usage;
+};
+
+/**
+ * Delete PDFs together with everything that hangs off them: stored files of every version,
+ * query history, pending ingest jobs, shares, extracted text, chat session references and
+ * cached answers, and give the space back to the uploaders' quotas
+ * @param {Array} pdfs - PDF documents (user, size, sha256, storageDriver, storageKey and filename are needed)
+ */
+const deletePdfs = async (pdfs) => {
+    if (pdfs.length === 0) {
+        return;
+    }
+    const ids = pdfs.map(pdf => pdf._id);
+
+    const versions = await PDFVersion.find({ pdf: { $in: ids } })
+        .select('pdf filename storageDriver storageKey size uploadedBy');
+    const files = new Map();
+    [...pdfs, ...versions].forEach(doc => {
+        files.set(`${doc.storageDriver}:${doc.storageKey || doc.filename}`, doc);
+    });
+
+    // Identical uploads share one stored file; keep it while other documents still use it
+    await Promise.all([...files.values()].map(async (doc) => {
+        const location = { storageDriver: doc.storageDriver, storageKey: doc.storageKey };
+        const shared = doc.storageKey && (
+            await PDF.exists({ _id: { $nin: ids }, ...location })
+            || await PDFVersion.exists({ pdf: { $nin: ids }, ...location })
+        );
+        if (!shared) {
+            await removeFile(doc);
+        }
+    }));
+
+    await QueryHistory.deleteMany({ pdf: { $in: ids } });
+    await IngestJob.deleteMany({ pdf: { $in: ids } });
+    await PDFShare.deleteMany({ pdf: { $in: ids } });
+    await PDFPage.deleteMany({ pdf: { $in: ids } });
+    await PDFVersion.deleteMany({ pdf: { $in: ids } });
+    await detachPdfFromSessions(ids);
+    await PDF.deleteMany({ _id: { $in: ids } });
+    await invalidateAnswers(pdfs.map(pdf => pdf.sha256));
+
+    await Promise.all([...usageByUser(pdfs, versions)].map(([userId, { bytes, documents }]) =>
+        releaseUsage(userId, bytes, documents)));
+};
+
+module.exports = { deletePdfs };
@@ -0,0 +1,57 @@
+const fs = require('fs');
+// The package entry point runs a self-test when loaded without a parent module; load the library directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const PDFPage = require('../models/PDFPage');
+
+// Join a page's text items, starting a new line whenever the baseline moves
+const renderPage = async (pageData) => {
+    const textContent = await pageData.getTextContent();
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+    }
+    return text;
+};
+
+/**
+ * Extract the text of every page of a PDF file
+ * @param {string|Buffer} source - Local path of the PDF, or its contents
+ * @returns {Promise<Array>} - Page texts, page 1 first
+ */
+const extractPdfPages = async (source) => {
+    const pages = [];
+    const data = Buffer.isBuffer(source) ? source : await fs.promises.readFile(source);
+    // pdf.js reads the whole underlying ArrayBuffer, and small Buffers are slices of a shared pool
+    await pdfParse(new Uint8Array(data), {
+        // Pages are rendered one after another, in order
+        pagerender: async (pageData) => {
+            const text = await renderPage(pageData);
+            pages.push(text);
+            return text;
+        }
+    });
+    return pages;
+};
+
+/**
+ * Store extracted page texts of an uploaded PDF for full-text search,
+ * replacing those of a previous version
+ * @param {Object} pdf - Saved PDF document
+ * @param {Array} pages - Page texts from extractPdfPages
+ */
+const savePdfPages = async (pdf, pages) => {
+    await PDFPage.deleteMany({ pdf: pdf._id });
+    await PDFPage.insertMany(pages.map((text, index) => ({
+        pdf: pdf._id,
+        workspace: pdf.workspace,
+        page: index + 1,
+        text
+    })));
+};
+
+module.exports = {
+    extractPdfPages,
+    savePdfPages
+};
@@ -0,0 +1,137 @@
+const User = require('../models/user');
+const PDF = require('../models/PDF');
+const PDFVersion = require('../models/PDFVersion');
+const { PLANS, QUOTA_LIMITS } = require('../config/plans');
+
+// e.g. 524288000 -> "500 MB"
+const formatBytes = (bytes) => {
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return `${Math.round(value * 10) / 10} ${units[unit]}`;
+};
+
+/**
+ * Effective upload limits of a user: their plan's, with any per-user overrides
+ * @param {Object} user - User document
+ * @returns {Object} - { maxFileSize, maxStorageBytes, maxDocuments }
+ */
+const getLimits = (user) => {
+    const plan = Object.hasOwn(PLANS, user.plan) ? PLANS[user.plan] : PLANS.free;
+    const limits = {};
+    QUOTA_LIMITS.forEach(key => {
+        const override = user.quota ? user.quota[key] : null;
+        limits[key] = override ?? plan[key];
+    });
+    return limits;
+};
+
+/**
+ * Count a user's stored bytes and documents from their records
+ * Each version of a versioned PDF is counted for whoever uploaded it;
+ * PDFs without version records are counted for their uploader.
+ */
+const calculateUsage = async (userId) => {
+    const [documentCount, versionBytes, unversionedBytes] = await Promise.all([
+        PDF.countDocuments({ user: userId }),
+        PDFVersion.aggregate([
+            { $match: { uploadedBy: userId } },
+            { $group: { _id: null, total: { $sum: '$size' } } }
+        ]),
+        PDF.aggregate([
+            { $match: { user: userId } },
+            {
+                $lookup: {
+                    from: PDFVersion.collection.name,
+                    localField: '_id',
+                    foreignField: 'pdf',
+                    pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }],
+                    as: 'versions'
+                }
+            },
+            { $match: { versions: { $size: 0 } } },
+            { $group: { _id: null, total: { $sum: '$size' } } }
+        ])
+    ]);
+
+    const sum = (result) => (result[0] ? result[0].total : 0);
+    return { storageBytes: sum(versionBytes) + sum(unversionedBytes), documentCount };
+};
+
+/**
+ * Current usage of a user. Accounts from before usage tracking are counted once
+ * from their documents; after that the counters are updated incrementally.
+ * @param {Object} user - User document (its usage is refreshed in place)
+ * @returns {Promise<Object>} - { storageBytes, documentCount }
+ */
+const getUsage = async (user) => {
+    if (!user.usage || !user.usage.calculatedAt) {
+        const usage = await calculateUsage(user._id);
+        user.usage = { ...usage, calculatedAt: new Date() };
+        await User.updateOne({ _id: user._id }, { usage: user.usage });
+    }
+    return {
+        storageBytes: user.usage.storageBytes,
+        documentCount: user.usage.documentCount
+    };
+};
+
+/**
+ * Count an upload against a user's quota before it is stored
+ * The check and the increment are a single update, so parallel uploads cannot overshoot.
+ * @param {Object} user - User document
+ * @param {number} bytes - Size of the stored file
+ * @param {number} documents - 1 for a new document, 0 for a new version of one
+ * @returns {Promise<Object|null>} - { status, error } if it does not fit, null once it is counted
+ */
+const reserveUsage = async (user, bytes, documents) => {
+    const limits = getLimits(user);
+    if (bytes > limits.maxFileSize) {
+        return { status: 413, error: `File exceeds the ${formatBytes(limits.maxFileSize)} file size limit` };
+    }
+    await getUsage(user);
+
+    const conditions = { _id: user._id, 'usage.storageBytes': { $lte: limits.maxStorageBytes - bytes } };
+    if (documents > 0) {
+        conditions['usage.documentCount'] = { $lte: limits.maxDocuments - documents };
+    }
+    const result = await User.updateOne(conditions, {
+        $inc: { 'usage.storageBytes': bytes, 'usage.documentCount': documents }
+    });
+    if (result.modifiedCount === 1) {
+        return null;
+    }
+
+    const current = await User.findById(user._id).select('usage');
+    if (documents > 0 && current.usage.documentCount + documents > limits.maxDocuments) {
+        return { status: 403, error: `Document limit reached (${limits.maxDocuments} documents)` };
+    }
+    return {
+        status: 413,
+        error: `Storage quota exceeded: ${formatBytes(current.usage.storageBytes)} of ${formatBytes(limits.maxStorageBytes)} used`
+    };
+};
+
+/**
+ * Give back quota: after a delete, or when an upload fails after reserveUsage
+ * @param {Object} userId - User ID
+ * @param {number} bytes
+ * @param {number} documents
+ */
+const releaseUsage = (userId, bytes, documents) =>
+    User.updateOne(
+        { _id: userId, 'usage.calculatedAt': { $ne: null } },
+        { $inc: { 'usage.storageBytes': -bytes, 'usage.documentCount': -documents } }
+    );
+
+module.exports = {
+    formatBytes,
+    getLimits,
+    getUsage,
+    reserveUsage,
+    releaseUsage
+};
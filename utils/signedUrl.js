@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+require("dotenv").config();
+
+const DEFAULT_EXPIRES_IN = 60 * 60; // 1 hour
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60; // 7 days
+
+const getSecret = () => {
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("FILE_URL_SECRET or JWT_SECRET must be set to sign file URLs");
+  }
+  return secret;
+};
+
+const sign = (pdfId, expires) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`${pdfId}:${expires}`)
+    .digest("base64url");
+
+/**
+ * Builds a time-limited URL that serves a PDF without authentication
+ * @param {Object} req - Express request, used to build an absolute URL
+ * @param {string} pdfId - PDF id
+ * @param {number} expiresIn - Lifetime in seconds, capped at 7 days
+ * @returns {Object} - { url, expiresAt }
+ */
+const createSignedFileUrl = (req, pdfId, expiresIn = DEFAULT_EXPIRES_IN) => {
+  const lifetime = Math.min(Math.max(parseInt(expiresIn) || DEFAULT_EXPIRES_IN, 1), MAX_EXPIRES_IN);
+  const expires = Math.floor(Date.now() / 1000) + lifetime;
+  const signature = sign(pdfId.toString(), expires);
+
+  return {
+    url: `${req.protocol}://${req.get("host")}/api/pdf/files/${pdfId}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Checks a signed file URL's signature and expiry
+ * @param {string} pdfId - PDF id from the URL
+ * @param {string} expires - Unix timestamp (seconds) from the URL
+ * @param {string} signature - Signature from the URL
+ * @returns {boolean}
+ */
+const verifySignedFileUrl = (pdfId, expires, signature) => {
+  if (!expires || !signature || !/^\d+$/.test(expires)) {
+    return false;
+  }
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(pdfId, expires));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  MAX_EXPIRES_IN,
+  createSignedFileUrl,
+  verifySignedFileUrl,
+};
@@ -0,0 +1,71 @@
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2;
+
+// PDFs are stored as private "raw" assets, reachable only through signed URLs
+const FOLDER = process.env.CLOUDINARY_FOLDER || 'pdfs';
+const URL_EXPIRES_IN = 5 * 60; // Signed URLs only live long enough to fetch the file
+
+let configured = false;
+const configure = () => {
+    if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+        throw new Error('Storage configuration missing: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET must be set');
+    }
+    if (!configured) {
+        cloudinary.config({
+            cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            api_secret: process.env.CLOUDINARY_API_SECRET,
+            secure: true
+        });
+        configured = true;
+    }
+};
+
+const signedUrl = (key) => {
+    configure();
+    return cloudinary.utils.private_download_url(key, null, {
+        resource_type: 'raw',
+        type: 'private',
+        expires_at: Math.floor(Date.now() / 1000) + URL_EXPIRES_IN
+    });
+};
+
+const put = async (sourcePath, key) => {
+    configure();
+    await cloudinary.uploader.upload(sourcePath, {
+        public_id: `${FOLDER}/${key}`,
+        resource_type: 'raw',
+        type: 'private',
+        overwrite: false
+    });
+    return {};
+};
+
+const createReadStream = async (key, { start, end } = {}) => {
+    const response = await axios.get(signedUrl(`${FOLDER}/${key}`), {
+        responseType: 'stream',
+        ...(start !== undefined && {
+            headers: { Range: `bytes=${start}-${end !== undefined ? end : ''}` }
+        })
+    });
+    return response.data;
+};
+
+const getSize = async (key) => {
+    configure();
+    const resource = await cloudinary.api.resource(`${FOLDER}/${key}`, { resource_type: 'raw', type: 'private' });
+    return resource.bytes;
+};
+
+const remove = async (key) => {
+    configure();
+    await cloudinary.uploader.destroy(`${FOLDER}/${key}`, { resource_type: 'raw', type: 'private' });
+};
+
+module.exports = {
+    name: 'cloudinary',
+    put,
+    createReadStream,
+    getSize,
+    remove
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Storage backend for new uploads: "local" (default), "s3" or "cloudinary"
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+// Drivers are loaded on first use so unused SDKs never need configuring
+const driverModules = {
+    local: './localStorage',
+    s3: './s3Storage',
+    cloudinary: './cloudinaryStorage'
+};
+
+if (!driverModules[STORAGE_DRIVER]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Use one of: ${Object.keys(driverModules).join(', ')}`);
+}
+
+/**
+ * Get a storage driver by name
+ * @param {string} name - Driver name, defaults to the configured driver
+ * @returns {Object} - { name, put, createReadStream, getSize, remove }
+ */
+const getDriver = (name = STORAGE_DRIVER) => {
+    if (!driverModules[name]) {
+        throw new Error(`Unknown storage driver "${name}"`);
+    }
+    return require(driverModules[name]);
+};
+
+// Documents remember the driver that stored them, so changing STORAGE_DRIVER
+// never orphans older files. Documents from before drivers existed are local.
+const driverFor = (doc) => getDriver(doc.storageDriver || 'local');
+const keyFor = (doc) => doc.storageKey || doc.filename;
+
+/**
+ * Name for a new upload on local disk
+ * Random suffix so stored names can't be guessed from the upload time
+ * @param {string} originalname - Client file name (only its extension is kept)
+ * @returns {string}
+ */
+const uploadFileName = (originalname) =>
+    `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(originalname)}`;
+
+/**
+ * Remove the local copy multer wrote for an upload that is not kept
+ * @param {Object} file - Multer file
+ */
+const discardUpload = (file) =>
+    fs.promises.unlink(file.path).catch(err => {
+        if (err.code !== 'ENOENT') console.error('Error removing temp upload:', err);
+    });
+
+/**
+ * SHA-256 of a file on local disk, used to detect duplicate uploads
+ * @param {string} filePath - Local path
+ * @returns {Promise<string>} - Hex digest
+ */
+const hashFile = async (filePath) => {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+};
+
+/**
+ * Persist a file multer wrote to disk with the configured driver
+ * Remote drivers upload the file and remove the local temp copy.
+ * @param {Object} file - Multer file ({ path, filename, mimetype, size })
+ * @returns {Promise<Object>} - Fields to store on the document: { storageDriver, storageKey, path }
+ */
+const storeUpload = async (file) => {
+    const driver = getDriver();
+    const key = file.filename;
+    const result = await driver.put(file.path, key, { contentType: file.mimetype, size: file.size });
+
+    if (driver.name !== 'local') {
+        await discardUpload(file);
+    }
+
+    return {
+        storageDriver: driver.name,
+        storageKey: key,
+        path: result.path || null
+    };
+};
+
+/**
+ * Open a readable stream over a stored document's bytes
+ * @param {Object} doc - Document with storageDriver/storageKey (or legacy filename)
+ * @param {Object} range - Optional { start, end } byte range, inclusive
+ * @returns {Promise<Object>} - Readable stream
+ */
+const openStream = (doc, range) => driverFor(doc).createReadStream(keyFor(doc), range);
+
+/**
+ * Read a stored document's whole file into memory
+ * @param {Object} doc - Stored document
+ * @returns {Promise<Buffer>}
+ */
+const readFileBuffer = async (doc) => {
+    const chunks = [];
+    for await (const chunk of await openStream(doc)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Size in bytes of a stored document's file
+ * @param {Object} doc - Stored document
+ * @returns {Promise<number>}
+ */
+const getFileSize = async (doc) => doc.size || driverFor(doc).getSize(keyFor(doc));
+
+/**
+ * Delete a stored document's file; failures are logged, not thrown
+ * @param {Object} doc - Stored document
+ */
+const removeFile = async (doc) => {
+    try {
+        await driverFor(doc).remove(keyFor(doc));
+    } catch (error) {
+        console.error('Error deleting file:', error.message);
+    }
+};
+
+module.exports = {
+    STORAGE_DRIVER,
+    // Multer writes incoming files here first; the local driver also keeps them here
+    UPLOAD_DIR: getDriver('local').UPLOAD_DIR,
+    getDriver,
+    uploadFileName,
+    storeUpload,
+    discardUpload,
+    hashFile,
+    openStream,
+    readFileBuffer,
+    getFileSize,
+    removeFile
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files live on this server's disk under UPLOAD_DIR (default "uploads/")
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads';
+
+const resolvePath = (key) => path.join(UPLOAD_DIR, path.basename(key));
+
+/**
+ * Move an uploaded temp file to its final location (a no-op when multer already wrote it there)
+ */
+const put = async (sourcePath, key) => {
+    const target = resolvePath(key);
+    if (path.resolve(sourcePath) !== path.resolve(target)) {
+        await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+        await fs.promises.rename(sourcePath, target);
+    }
+    return { path: target };
+};
+
+const createReadStream = async (key, options = {}) => fs.createReadStream(resolvePath(key), options);
+
+const getSize = async (key) => (await fs.promises.stat(resolvePath(key))).size;
+
+const remove = async (key) => {
+    await fs.promises.unlink(resolvePath(key)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+    });
+};
+
+module.exports = {
+    name: 'local',
+    UPLOAD_DIR,
+    resolvePath,
+    put,
+    createReadStream,
+    getSize,
+    remove
+};
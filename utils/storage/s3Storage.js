@@ -0,0 +1,68 @@
+const fs = require('fs');
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Works with AWS S3 and S3-compatible stores (MinIO, R2, ...) via S3_ENDPOINT
+const BUCKET = process.env.S3_BUCKET;
+
+let client;
+const getClient = () => {
+    if (!BUCKET) {
+        throw new Error('Storage configuration missing: S3_BUCKET must be set');
+    }
+    if (!client) {
+        client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+            // MinIO and most self-hosted stores need path-style URLs
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            // Only checksum when an operation requires it: the SDK's default aws-chunked
+            // CRC32 trailer is stored as part of the object by some S3-compatible stores
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED',
+            ...(process.env.S3_ACCESS_KEY_ID && {
+                credentials: {
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+                }
+            })
+        });
+    }
+    return client;
+};
+
+const put = async (sourcePath, key, { contentType, size } = {}) => {
+    await getClient().send(new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: fs.createReadStream(sourcePath),
+        ContentType: contentType,
+        ...(size !== undefined && { ContentLength: size })
+    }));
+    return {};
+};
+
+const createReadStream = async (key, { start, end } = {}) => {
+    const response = await getClient().send(new GetObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        ...(start !== undefined && { Range: `bytes=${start}-${end !== undefined ? end : ''}` })
+    }));
+    return response.Body;
+};
+
+const getSize = async (key) => {
+    const response = await getClient().send(new HeadObjectCommand({ Bucket: BUCKET, Key: key }));
+    return response.ContentLength;
+};
+
+const remove = async (key) => {
+    await getClient().send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+};
+
+module.exports = {
+    name: 's3',
+    put,
+    createReadStream,
+    getSize,
+    remove
+};
@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session");
+require("dotenv").config();
+
+/**
+ * Parses a token lifetime such as "15m", "2h" or "900" (seconds)
+ * @param {string} value - Number with an optional s/m/h/d unit
+ * @returns {number} - Lifetime in seconds
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid token lifetime "${value}", expected e.g. 15m, 2h or 900`);
+  }
+  const units = { "": 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+  return parseInt(match[1]) * units[match[2]];
+};
+
+// The JWT expiry and the cookie lifetime come from the same setting
+const ACCESS_TOKEN_TTL = parseDuration(process.env.ACCESS_TOKEN_TTL || "15m"); // seconds
+const ACCESS_TOKEN_MAX_AGE = ACCESS_TOKEN_TTL * 1000;
+const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Hashes a refresh token for storage; raw tokens never touch the database
+ * @param {string} token - Raw refresh token
+ * @returns {string} - Hex encoded sha256 digest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Signs a short-lived access token bound to a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id, email: user.email, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+/**
+ * Sets the access and refresh token cookies on a response
+ * @param {Object} res - Express response
+ * @param {string} accessToken - Signed JWT
+ * @param {string} refreshToken - Raw refresh token
+ */
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie("token", accessToken, {
+    httpOnly: true,
+    // secure: process.env.NODE_ENV === "production",
+    maxAge: ACCESS_TOKEN_MAX_AGE,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true,
+    // secure: process.env.NODE_ENV === "production",
+    path: "/api/auth",
+    maxAge: REFRESH_TOKEN_MAX_AGE,
+  });
+};
+
+/**
+ * Clears the auth cookies set by setAuthCookies
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  res.clearCookie("token");
+  res.clearCookie("refreshToken", { path: "/api/auth" });
+};
+
+/**
+ * Starts a new session for a user and issues its first token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used to record device details
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session),
+    refreshToken,
+  };
+};
+
+/**
+ * Swaps a refresh token for a new token pair on the same session.
+ * Replaying an already rotated token revokes the whole session.
+ * @param {string} refreshToken - Raw refresh token presented by the client
+ * @returns {Promise<Object|null>} - { session, refreshToken } or null if rejected
+ */
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = crypto.randomBytes(48).toString("hex");
+  const now = new Date();
+
+  // Check and swap in one update, so concurrent refreshes with the same token
+  // cannot both succeed: the loser sees a rotated-out token, i.e. a replay
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      previousTokenHash: tokenHash,
+      refreshTokenHash: hashToken(nextToken),
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_MAX_AGE),
+    },
+    { new: true }
+  );
+  if (!session) {
+    const replayed = await Session.findOneAndUpdate(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: now }
+    );
+    if (replayed) {
+      console.warn(`Refresh token reuse detected for session ${replayed._id}, revoking`);
+    }
+    return null;
+  }
+
+  return { session, refreshToken: nextToken };
+};
+
+/**
+ * Checks that the session an access token was issued for is still live
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded || !decoded.sid) {
+    return false;
+  }
+  const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+  return Boolean(session && session.isActive());
+};
+
+/**
+ * Revokes every live session belonging to a user
+ * @param {string} userId - User id
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  setAuthCookies,
+  clearAuthCookies,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeAllSessions,
+};
@@ -0,0 +1,118 @@
+const UsageRecord = require('../models/UsageRecord');
+const User = require('../models/user');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Longest range a usage report covers
+const MAX_REPORT_DAYS = 366;
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Add to today's usage record of a user
+ * Metering never fails the request it measures: errors are only logged.
+ * @param {Object} userId - User ID
+ * @param {Object} counts - { questions, cachedAnswers, uploads, aiErrors, aiLatencyMs }
+ */
+const recordUsage = async (userId, { questions = 0, cachedAnswers = 0, uploads = 0, aiErrors = 0, aiLatencyMs } = {}) => {
+    const update = { $inc: { questions, cachedAnswers, uploads, aiErrors } };
+    if (aiLatencyMs !== undefined) {
+        update.$inc.aiLatencyMs = aiLatencyMs;
+        update.$max = { maxAiLatencyMs: aiLatencyMs };
+    }
+    const filter = { user: userId, date: startOfUtcDay(new Date()) };
+
+    try {
+        await UsageRecord.updateOne(filter, update, { upsert: true });
+    } catch (error) {
+        // Two first requests of the day can race to create the record; the loser updates it
+        if (error.code === 11000) {
+            return UsageRecord.updateOne(filter, update).catch(err => console.error('Error recording usage:', err.message));
+        }
+        console.error('Error recording usage:', error.message);
+    }
+};
+
+/**
+ * Work out the days a usage report covers from ?from and ?to (the last 30 days by default)
+ * Returns { from, to } (start of the first and last UTC day) or { error }
+ */
+const parseUsageRange = (from, to) => {
+    if (from === null || to === null) {
+        return { error: 'from and to must be valid dates' };
+    }
+    const end = startOfUtcDay(to || new Date());
+    const start = startOfUtcDay(from || new Date(end.getTime() - 29 * DAY));
+    if (start > end) {
+        return { error: 'from must be before to' };
+    }
+    if ((end - start) / DAY >= MAX_REPORT_DAYS) {
+        return { error: `A usage report can cover at most ${MAX_REPORT_DAYS} days` };
+    }
+    return { from: start, to: end };
+};
+
+const usageTotals = {
+    questions: { $sum: '$questions' },
+    cachedAnswers: { $sum: '$cachedAnswers' },
+    uploads: { $sum: '$uploads' },
+    aiErrors: { $sum: '$aiErrors' },
+    aiLatencyMs: { $sum: '$aiLatencyMs' },
+    maxAiLatencyMs: { $max: '$maxAiLatencyMs' }
+};
+
+// Average AI server answer time of a group of usage records
+const withAverageLatency = ({ aiLatencyMs, ...totals }) => {
+    const answeredByAi = totals.questions - totals.cachedAnswers;
+    return {
+        ...totals,
+        averageAiLatencyMs: answeredByAi > 0 ? Math.round(aiLatencyMs / answeredByAi) : null
+    };
+};
+
+/**
+ * Usage per day and in total for a date range, optionally also per user
+ * @param {Object} match - Which records to include, e.g. { user }
+ * @param {Object} range - Result of parseUsageRange
+ * @param {Object} options - { byUser }: also break the totals down per user
+ * @returns {Promise<Object>} - { from, to, totals, days, byUser? }
+ */
+const getUsageReport = async (match, { from, to }, { byUser = false } = {}) => {
+    const [report] = await UsageRecord.aggregate([
+        { $match: { ...match, date: { $gte: from, $lte: to } } },
+        {
+            $facet: {
+                totals: [{ $group: { _id: null, ...usageTotals } }],
+                days: [
+                    { $group: { _id: '$date', ...usageTotals } },
+                    { $sort: { _id: 1 } }
+                ],
+                ...(byUser && {
+                    byUser: [
+                        { $group: { _id: '$user', ...usageTotals } },
+                        { $sort: { questions: -1 } },
+                        { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+                        { $addFields: { email: { $first: '$user.email' } } },
+                        { $project: { user: 0 } }
+                    ]
+                })
+            }
+        }
+    ]);
+
+    const { _id, ...totals } = report.totals[0] || { questions: 0, cachedAnswers: 0, uploads: 0, aiErrors: 0, aiLatencyMs: 0, maxAiLatencyMs: 0 };
+    return {
+        from,
+        to,
+        totals: withAverageLatency(totals),
+        days: report.days.map(({ _id: date, ...day }) => ({ date, ...withAverageLatency(day) })),
+        ...(byUser && {
+            byUser: report.byUser.map(({ _id: user, ...stats }) => ({ user, ...withAverageLatency(stats) }))
+        })
+    };
+};
+
+module.exports = {
+    recordUsage,
+    parseUsageRange,
+    getUsageReport
+};
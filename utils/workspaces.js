@@ -0,0 +1,63 @@
+const Workspace = require('../models/Workspace');
+const PDF = require('../models/PDF');
+const QueryHistory = require('../models/QueryHistory');
+const ChatSession = require('../models/ChatSession');
+
+// What each workspace role may do with the workspace's documents (see utils/pdfAccess.js)
+const ROLE_PERMISSIONS = {
+    owner: 'manage',
+    admin: 'manage',
+    member: 'query',
+    viewer: 'query'
+};
+
+// Roles allowed to add documents to a workspace
+const UPLOAD_ROLES = ['owner', 'admin', 'member'];
+// Roles allowed to manage members, invitations and any document
+const ADMIN_ROLES = ['owner', 'admin'];
+
+/**
+ * Get (or create) a user's personal workspace
+ * The first call also moves the user's documents, history and chat sessions
+ * from before workspaces existed into it.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Workspace document
+ */
+const getPersonalWorkspace = async (user) => {
+    const existing = await Workspace.findOne({ owner: user._id, isPersonal: true });
+    if (existing) {
+        return existing;
+    }
+
+    let workspace;
+    try {
+        workspace = await Workspace.create({
+            name: `${user.name}'s workspace`,
+            owner: user._id,
+            isPersonal: true,
+            members: [{ user: user._id, role: 'owner' }]
+        });
+    } catch (error) {
+        // Another request created it at the same time
+        if (error.code === 11000) {
+            return Workspace.findOne({ owner: user._id, isPersonal: true });
+        }
+        throw error;
+    }
+
+    const unscoped = { user: user._id, workspace: { $exists: false } };
+    await Promise.all([
+        PDF.updateMany(unscoped, { workspace: workspace._id }),
+        QueryHistory.updateMany(unscoped, { workspace: workspace._id }),
+        ChatSession.updateMany(unscoped, { workspace: workspace._id })
+    ]);
+
+    return workspace;
+};
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    UPLOAD_ROLES,
+    ADMIN_ROLES,
+    getPersonalWorkspace
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { UPLOAD_DIR, uploadFileName, discardUpload } = require('./storage');
+const { ALLOWED_EXTENSIONS } = require('./documentConverter');
+
+// Limits for unpacking ZIP uploads
+const ZIP_MAX_FILES = parseInt(process.env.ZIP_MAX_FILES) || 50;
+const ZIP_MAX_TOTAL_SIZE = parseInt(process.env.ZIP_MAX_TOTAL_SIZE) || 200 * 1024 * 1024;
+// Highest uncompressed/compressed size ratio accepted for an entry; zip bombs are far above it
+const ZIP_MAX_RATIO = parseInt(process.env.ZIP_MAX_RATIO) || 100;
+
+const isZipName = (name) => path.extname(name).toLowerCase() === '.zip';
+
+// Folders and the metadata files archivers add (__MACOSX/, .DS_Store) are not documents
+const isSkipped = (fileName) =>
+    fileName.endsWith('/') ||
+    fileName.startsWith('__MACOSX/') ||
+    path.posix.basename(fileName).startsWith('.');
+
+const openZip = (filePath) => new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+        if (err) return reject(err);
+        resolve(zipfile);
+    });
+});
+
+// Read the central directory: every entry of the archive, without extracting anything
+const readEntries = (zipfile) => new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on('entry', (entry) => {
+        entries.push(entry);
+        zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+});
+
+const openEntryStream = (zipfile, entry) => new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, stream) => {
+        if (err) return reject(err);
+        resolve(stream);
+    });
+});
+
+/**
+ * Unpack the documents in a ZIP upload into UPLOAD_DIR
+ * Limits are checked against the central directory before anything is written,
+ * and yauzl stops an entry that inflates to more than its declared size.
+ * @param {Object} zipFile - Multer file of the archive (left in place; the caller discards it)
+ * @returns {Promise<Object>} - { files, rejected }: multer-like files for the documents,
+ *   and [{ file, reason }] for entries that are not documents
+ * @throws {Error} - If the archive is unreadable or over the limits (the message can be shown to the client)
+ */
+const extractZipUpload = async (zipFile) => {
+    let zipfile;
+    try {
+        zipfile = await openZip(zipFile.path);
+    } catch (error) {
+        throw new Error('Not a valid ZIP archive');
+    }
+
+    const files = [];
+    try {
+        const entries = (await readEntries(zipfile)).filter(entry => !isSkipped(entry.fileName));
+
+        const rejected = [];
+        const documents = [];
+        for (const entry of entries) {
+            const extension = path.extname(entry.fileName).toLowerCase();
+            if (isZipName(entry.fileName)) {
+                rejected.push({ file: entry.fileName, reason: 'Nested ZIP archives are not supported' });
+            } else if (!ALLOWED_EXTENSIONS.includes(extension)) {
+                rejected.push({ file: entry.fileName, reason: 'Only PDF, DOCX, TXT, Markdown and HTML files are allowed' });
+            } else if (entry.isEncrypted()) {
+                rejected.push({ file: entry.fileName, reason: 'Encrypted files are not supported' });
+            } else {
+                documents.push(entry);
+            }
+        }
+
+        if (documents.length > ZIP_MAX_FILES) {
+            throw new Error(`ZIP archive contains ${documents.length} documents; the limit is ${ZIP_MAX_FILES}`);
+        }
+        const totalSize = documents.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+        if (totalSize > ZIP_MAX_TOTAL_SIZE) {
+            throw new Error(`ZIP archive unpacks to more than ${Math.floor(ZIP_MAX_TOTAL_SIZE / (1024 * 1024))} MB`);
+        }
+        const tooCompressed = documents.find(entry =>
+            entry.uncompressedSize > Math.max(entry.compressedSize, 1) * ZIP_MAX_RATIO);
+        if (tooCompressed) {
+            throw new Error(`ZIP entry ${tooCompressed.fileName} is compressed suspiciously well and was refused`);
+        }
+
+        for (const entry of documents) {
+            const originalname = path.posix.basename(entry.fileName);
+            const filename = uploadFileName(originalname);
+            const file = {
+                fieldname: zipFile.fieldname,
+                originalname,
+                filename,
+                path: path.join(UPLOAD_DIR, filename),
+                size: entry.uncompressedSize,
+                mimetype: path.extname(originalname).toLowerCase() === '.pdf' ? 'application/pdf' : 'application/octet-stream'
+            };
+            files.push(file);
+            await pipeline(await openEntryStream(zipfile, entry), fs.createWriteStream(file.path));
+        }
+
+        return { files, rejected };
+    } catch (error) {
+        // Nothing from a refused or broken archive is kept
+        await Promise.all(files.map(discardUpload));
+        throw error;
+    } finally {
+        zipfile.close();
+    }
+};
+
+module.exports = {
+    isZipName,
+    extractZipUpload
+};